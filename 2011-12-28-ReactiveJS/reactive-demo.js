@@ -0,0 +1,72 @@
+// The demo page for reactive.js
+
+/*
+  With the combinators from reactive.js in hand, we can now bind a
+  bunch of behaviors to the DOM and watch them go.
+*/
+
+$(document).ready(function() {
+    console.log("ready!");
+
+    var timeB = Reactive.timeB,
+	timerE = Reactive.timerE,
+	stepperB = Reactive.stepperB,
+	mapE = Reactive.mapE,
+	mapB = Reactive.mapB,
+	mapB_2 = Reactive.mapB_2,
+	accumB = Reactive.accumB,
+	changesE = Reactive.changesE,
+	filterE = Reactive.filterE,
+	snapshotE = Reactive.snapshotE,
+	switcherB = Reactive.switcherB,
+	bindB = Reactive.bindB,
+	bindTemplateB = Reactive.bindTemplateB;
+
+    var startMillis = new Date().getTime();
+
+    var datetimeToDecisB = timeB(new Date(), 100);
+    bindB($('#datetime'), mapB(function(d) { return d.toString(); }, datetimeToDecisB));
+
+    var decisB = mapB(function(dt) { return Math.floor(dt.getTime() / 100); }, datetimeToDecisB);
+    bindB($('#deciseconds'), decisB);
+
+    var increment = function() { return function(n) { return n + 1; }; };
+    bindB($('#ticks'), accumB(0, mapE(increment, timerE(100))));
+
+    var decisWrapE = filterE(function(value) { return value % 10 == 0; }, changesE(decisB));
+    var decisWhenWrappedB = stepperB(decisB.sample(), snapshotE(decisB, decisWrapE));
+
+    var secondsB = mapB(function(decis) { return Math.floor(decis / 10); }, decisB);
+    var secondsB2 = mapB_2(function(decis) { return Math.floor(decis / 10); }, decisB);
+    bindB($('#seconds'), secondsB);
+    bindB($('#seconds2'), secondsB2);
+
+    var secondsB3 = mapB(function(decis) { return Math.floor(decis / 10); }, decisWhenWrappedB);
+    var isEven = function(n) { return n % 2 == 0; }
+    var secondsEvenB = mapB(isEven, secondsB3)
+
+    var stutterB = switcherB(decisB,
+			     mapE(function(even) { return even ? decisB : decisWhenWrappedB; },
+				  changesE(secondsEvenB)));
+    
+    bindB($('#secondsEven'), mapB(function(even) { return even ? "YES \\(^_^)/" : "NO ;_;"; }, secondsEvenB));
+    bindB($('#stutter'), stutterB);
+
+    bindTemplateB($('#icanhaz-output'), 'icanhaz-example',
+		  { list: mapB(function(decis) { return _.range(decis % 10); }, decisB) },
+		  Reactive.renderers.icanhaz);
+
+    /*
+      That was fun! Google around to see what is out there.  There are
+      a number of additional primitives needed, and most libraries
+      provide a huge pile of them. The closest thing I can reacall
+      seeing about figuring out canonical primitives is <a
+      href="http://www.wpi.edu/Pubs/ETD/Available/etd-042908-133033/unrestricted/cking.pdf">this
+      rather challenging paper</a>.
+    
+      For real libraries, I think <a
+      href="http://hackage.haskell.org/package/reactive">Reactive</a>
+      in Haskell is the state of the art. I'm not sure about libraries
+      in other languages, but would love to hear about them.
+    */
+});
@@ -20,17 +20,142 @@
   ...
 
   You can get jquery, backbone, and underscore however you like.
-  I just tossed them in the directory for this demo.
-*/  
+  I just tossed them in the directory for this demo. Under Node,
+  `npm install` fetches backbone and underscore, and then
+  require('./reactive.js') works as you would expect. `npm test`
+  runs the tests in test/, against jsdom for the DOM parts.
+*/
 
-$(document).ready(function() {
-    console.log("ready!");
+(function(root, factory) {
+    if (typeof define === 'function' && define.amd) {
+	define(['underscore', 'backbone', 'exports'], function(_, Backbone, exports) {
+	    root.Reactive = factory(root, exports, _, Backbone);
+	});
+    } else if (typeof exports !== 'undefined') {
+	factory(root, exports, require('underscore'), require('backbone'));
+    } else {
+	root.Reactive = factory(root, {}, root._, root.Backbone);
+    }
+}(this, function(root, Reactive, _, Backbone) {
+
+    var previousReactive = root.Reactive;
+
+    /*
+      Like Backbone, the DOM adapters use whatever jQuery or Zepto is
+      lying around; set Reactive.$ yourself if you are somewhere else,
+      such as Node with jsdom.
+    */
+    Reactive.$ = root.jQuery || root.Zepto;
+
+    /*
+      Likewise, everything that waits for time to pass, or asks what
+      time it is, goes through a clock. Swap out Reactive.clock, or
+      pass a clock as the last argument to a time-based combinator, to
+      control time yourself. Reactive.realClock is the one backed by
+      the browser, with animation frames falling back to a 16ms
+      timeout where there is no requestAnimationFrame.
+    */
+    var requestFrame = root.requestAnimationFrame || root.webkitRequestAnimationFrame || root.mozRequestAnimationFrame;
+    var cancelFrame = root.cancelAnimationFrame || root.webkitCancelAnimationFrame || root.mozCancelAnimationFrame;
+    if (!requestFrame || !cancelFrame) {
+	requestFrame = function(fn) { return setTimeout(fn, 16); };
+	cancelFrame = function(id) { clearTimeout(id); };
+    }
+
+    var realClock = {
+	now: function() { return new Date().getTime(); },
+	setTimeout: function(fn, ms) { return setTimeout(fn, ms); },
+	clearTimeout: function(id) { clearTimeout(id); },
+	setInterval: function(fn, ms) { return setInterval(fn, ms); },
+	clearInterval: function(id) { clearInterval(id); },
+	requestAnimationFrame: function(fn) { return requestFrame.call(root, fn); },
+	cancelAnimationFrame: function(id) { cancelFrame.call(root, id); }
+    };
+    Reactive.clock = realClock;
+
+    /*
+      A VirtualClock only moves when you tell it to. advance(ms) runs
+      every timeout and interval that comes due, in order, with now()
+      reporting the time each one was due at (a negative delay is
+      due now, the clock never goes back). Animation frames are
+      just timeouts `frame` milliseconds long. This is what makes time
+      testable.
+    */
+
+    var VirtualClock = function(start) {
+	this._now = start || 0;
+	this._timers = [];
+	this._ids = 0;
+    };
+    _.extend(VirtualClock.prototype, {
+	now: function() {
+	    return this._now;
+	},
+
+	setTimeout: function(fn, ms) {
+	    return this._add({ fn: fn, at: this._now + Math.max(ms || 0, 0) });
+	},
+
+	setInterval: function(fn, ms) {
+	    var every = Math.max(ms || 0, 1);
+	    return this._add({ fn: fn, at: this._now + every, every: every });
+	},
+
+	clearTimeout: function(id) {
+	    this._timers = _.reject(this._timers, function(timer) { return timer.id === id; });
+	},
+
+	clearInterval: function(id) {
+	    this.clearTimeout(id);
+	},
+
+	frame: 16,
+
+	requestAnimationFrame: function(fn) {
+	    return this.setTimeout(fn, this.frame);
+	},
+
+	cancelAnimationFrame: function(id) {
+	    this.clearTimeout(id);
+	},
+
+	advance: function(ms) {
+	    var end = this._now + (ms || 0), timer;
+	    while ((timer = this._timers[0]) && timer.at <= end) {
+		this._timers.shift();
+		this._now = timer.at;
+		if (timer.every) {
+		    timer.at += timer.every;
+		    this._insert(timer);
+		}
+		timer.fn();
+	    }
+	    this._now = end;
+	},
+
+	_add: function(timer) {
+	    timer.id = ++this._ids;
+	    this._insert(timer);
+	    return timer.id;
+	},
+
+	_insert: function(timer) {
+	    var i = _.sortedIndex(this._timers, timer, function(t) { return t.at; });
+	    while (i < this._timers.length && this._timers[i].at === timer.at) i++;
+	    this._timers.splice(i, 0, timer);
+	}
+    });
+
+    Reactive.noConflict = function() {
+	root.Reactive = previousReactive;
+	return this;
+    };
 
     /*
       FRP is based on two main semantic types that are very closely
       related: event streams and behaviors. I am renaming them to
       match what I think is more normal terminology for this
-      context. Event streams are infinite sequences of data attached
+      context. Event streams are (possibly infinite) sequences of data attached
       to a time, where time is nondecreasing. Behaviors are variables
       whose value changes continuously over time, i.e. functions of
       time. In pseudo-Haskell:
@@ -54,22 +179,382 @@ $(document).ready(function() {
       class, so let us start with defining that class. It is quite
       literally just a handle for listening for occurences of
       events. In actual  use, you have to deal with the
-      fact that listeners should be weak references, but that is a
-      battle for another day.
+      fact that listeners should be weak references.
+
+      Javascript has no weak references, so the next best thing is
+      reference counting. Every node (event stream or behavior) knows
+      how many subscribers it has. A node hooks itself up to its
+      sources with _connect, passing a function that subscribes and
+      returns a teardown. When the last subscriber goes away the node
+      runs its teardowns, releasing its sources in turn, and when a
+      subscriber shows up again it reconnects. Nodes start out
+      disconnected, so building something nobody uses costs nothing
+      and holds on to nothing: a node is only listed among its
+      sources' dependents while it is connected. Reading a behavior
+      nobody observes goes through sample(), and those that can work
+      out their value when asked (see derivedB) do so there.
+
+      That only works for nodes that can catch up. A stepper, a fold
+      or a switcher holds a value made from everything it has seen,
+      and would be wrong forever after missing an event, so those
+      connect as soon as they are built and stay connected, observed
+      or not, until they are disposed.
+
+      Subscribing hands back a subscription whose dispose() undoes it,
+      and dispose() on a node disconnects it for good (triggering a
+      "dispose" event on the way out, for anybody who cares).
+
+      The other thing a naive implementation gets wrong is the order
+      in which things happen. If two behaviors are both derived from
+      a third and then combined, firing observers in whatever order
+      they were bound means the combination briefly sees one new input
+      and one old one: a "glitch". So every node gets a rank, one more
+      than the highest rank of anything it depends on, and nothing
+      fires directly. Instead, work is put on a queue ordered by rank
+      and the queue is drained lowest rank first. By the time a node's
+      turn comes, everything it depends on has settled. A whole drain
+      of the queue is one transaction (and see transaction() for
+      making one out of several changes).
+
+      Finally, user code throws. A function passed to mapE that throws
+      should not take every other listener down with it, so listeners
+      are called in a try/catch, and whatever gets caught turns into
+      an error event on the node downstream. Error events flow along
+      the same edges as everything else until something catches them
+      (see catchE and friends below). An error that reaches a node
+      nobody is listening to for errors goes to
+      Reactive.onUnhandledError, which by default rethrows it from a
+      timeout so that it shows up in the console without interrupting
+      the transaction.
+    */
+
+    Reactive.onUnhandledError = function(error) {
+	setTimeout(function() { throw error; }, 0);
+    };
+
+    var unhandledError = function(error) {
+	Reactive.onUnhandledError(error);
+    };
+
+    var currentSubgraph = null;
+
+    var propagation = {
+	queue: [],
+	running: false,
+	held: 0,
+	seq: 0
+    };
+
+    var propagate = function() {
+	if (propagation.running || propagation.held) return;
+	propagation.running = true;
+	try {
+	    while (propagation.queue.length) {
+		var item = propagation.queue.shift();
+		if (item.key) item.node._pending[item.key] = false;
+		try {
+		    item.job.call(item.node);
+		} catch (error) {
+		    item.node._error(error);
+		}
+	    }
+	} finally {
+	    _.each(propagation.queue, function(item) {
+		if (item.key) item.node._pending[item.key] = false;
+	    });
+	    propagation.queue = [];
+	    propagation.running = false;
+	    propagation.seq = 0;
+	}
+    };
+
+    /*
+      Jobs with the same rank run in the order they were scheduled. A
+      job with a key is only queued once per node until it runs, so it
+      should look up the current state rather than capture it.
     */
 
-    var EventStream = function() { };
-    _.extend(EventStream.prototype, Backbone.Events, {
+    var schedule = function(node, job, key) {
+	if (key) {
+	    if (node._pending[key]) return;
+	    node._pending[key] = true;
+	}
+	var item = { rank: node._rank, seq: propagation.seq++, node: node, key: key, job: job };
+	var queue = propagation.queue, low = 0, high = queue.length;
+	while (low < high) {
+	    var mid = (low + high) >> 1;
+	    if (queue[mid].rank <= item.rank) low = mid + 1; else high = mid;
+	}
+	queue.splice(low, 0, item);
+	propagate();
+    };
+
+    /*
+      Ordinarily every change is its own transaction, so changing two
+      behaviors one after the other lets everything downstream see
+      the first change without the second. transaction(fn) holds the
+      queue while `fn` runs, so whatever it changes (with _change or
+      otherwise) only propagates once it returns, and since the jobs
+      are keyed, a behavior changed twice, or a dependent of several
+      changed behaviors, still only fires once, with the final state.
+      Events all still occur, in order. Transactions nest, the outer
+      one being the one that counts, and if `fn` throws, what it had
+      changed so far propagates anyway before the error goes on up.
+    */
+
+    var transaction = function(fn) {
+	propagation.held++;
+	try {
+	    return fn();
+	} finally {
+	    propagation.held--;
+	    propagate();
+	}
+    };
+
+    /* A teardown for a connector that subscribed to several sources */
+
+    var disposer = function(subscriptions) {
+	return function() {
+	    _.each(subscriptions, function(subscription) { subscription.dispose(); });
+	};
+    };
+
+    var Node = {
+	_initNode: function() {
+	    this._refs = 0;
+	    this._active = false;
+	    this._connectors = [];
+	    this._teardowns = [];
+	    this._subscriptions = [];
+	    this._rank = 0;
+	    this._sources = [];
+	    this._delayedSources = [];
+	    this._loopSources = [];
+	    this._dependents = [];
+	    this._pending = {};
+	    if (currentSubgraph) currentSubgraph.push(this);
+	},
+
+	/*
+	  A `delayed` dependency is one where this node never fires in
+	  the same breath as its source: it only reads it (snapshotE),
+	  or it waits for a timer. It is ranked like any other, but it
+	  is what makes a feedback loop safe (see receiverE).
+	*/
+	_dependOn: function(source, delayed) {
+	    if (delayed && !_.include(this._delayedSources, source)) this._delayedSources.push(source);
+	    if (_.include(this._sources, source)) return;
+	    this._sources.push(source);
+	    if (this._active) source._dependents.push(this);
+	    this._rerank(source._rank + 1);
+	},
+
+	/*
+	  The higher-order combinators move from source to source, and
+	  let go of the old ones with _undependOn. The rank comes back
+	  down to what the remaining sources call for; dependents are
+	  left as they are, since being ranked too high does no harm.
+	*/
+	_undependOn: function(source) {
+	    this._sources = _.without(this._sources, source);
+	    this._delayedSources = _.without(this._delayedSources, source);
+	    source._dependents = _.without(source._dependents, this);
+	    this._rank = _.max(_.map(this._sources, function(s) { return s._rank + 1; }).concat([0]));
+	},
+
+	/*
+	  Connecting lists the node among its sources' dependents again
+	  and catches its rank up with theirs, which may have grown in
+	  the meantime; disconnecting takes it off the lists.
+	*/
+	_link: function() {
+	    _.each(this._sources, function(source) {
+		if (_.include(this._loopSources, source)) return;
+		if (!_.include(source._dependents, this)) source._dependents.push(this);
+		this._rerank(source._rank + 1);
+	    }, this);
+	},
+
+	_unlink: function() {
+	    _.each(this._sources, function(source) {
+		source._dependents = _.without(source._dependents, this);
+	    }, this);
+	},
+
+	_rerank: function(rank) {
+	    if (rank <= this._rank) return;
+	    if (this._reranking) throw new Error("Reactive: instantaneous cycle in the graph");
+	    this._rank = rank;
+	    this._reranking = true;
+	    try {
+		_.each(this._dependents, function(dependent) {
+		    dependent._rerank(rank + 1);
+		});
+	    } finally {
+		this._reranking = false;
+	    }
+	},
+
+	_schedule: function(job, key) {
+	    schedule(this, job, key);
+	},
+
+	_connect: function(connector) {
+	    this._connectors.push(connector);
+	    if (this._active) this._teardowns.push(connector.call(this));
+	},
+
+	_subscribe: function(ev, callback, onError) {
+	    var node = this;
+	    var guarded = function() {
+		try {
+		    callback.apply(this, arguments);
+		} catch (error) {
+		    (onError || unhandledError)(error);
+		}
+	    };
+	    var subscription = {
+		event: ev,
+		callback: callback,
+		dispose: _.once(function() {
+		    node.unbind(ev, guarded);
+		    node._subscriptions = _.without(node._subscriptions, subscription);
+		    node._release();
+		})
+	    };
+	    this.bind(ev, guarded);
+	    this._subscriptions.push(subscription);
+	    this._retain();
+	    if (currentSubgraph) currentSubgraph.push(subscription);
+	    return subscription;
+	},
+
+	/*
+	  _from is how a node subscribes to one of its sources: errors
+	  thrown by the callback, and errors coming out of the source,
+	  are passed to `onError`, which by default raises them on this
+	  node. `onError` should not throw. When the source ends,
+	  `onEnd` is called, which by default ends this node too if it
+	  is the kind of thing that ends.
+	*/
+	_from: function(source, callback, onError, onEnd) {
+	    var node = this;
+	    var fail = onError || function(error) { node._error(error); };
+	    var end = onEnd || function() { if (node._end) node._end(); };
+	    this._dependOn(source);
+	    if (source._ended) node._schedule(end);
+	    return {
+		dispose: disposer([
+		    source._subscribe(source._event, callback, fail),
+		    source._subscribe("error", fail),
+		    source._subscribe("end", end, fail)
+		])
+	    };
+	},
+
+	_onError: function(callback) {
+	    return this._subscribe("error", callback);
+	},
+
+	_error: function(error) {
+	    this._schedule(function() {
+		var listened = _.any(this._subscriptions, function(subscription) {
+		    return subscription.event === "error";
+		});
+		if (listened) this.trigger("error", error);
+		else unhandledError(error);
+	    });
+	},
+
+	_unsubscribe: function(callback) {
+	    var subscription = _.detect(this._subscriptions, function(sub) {
+		return sub.callback === callback;
+	    });
+	    if (subscription) subscription.dispose();
+	},
+
+	_retain: function() {
+	    if (this._refs++ === 0 && !this._active) this._activate();
+	},
+
+	_release: function() {
+	    if (--this._refs === 0) this._deactivate();
+	},
+
+	/* For the nodes that must not miss anything: connected from now until dispose(). */
+	_keepConnected: function() {
+	    this._retain();
+	    return this;
+	},
+
+	_activate: function() {
+	    if (this._disposed) return;
+	    this._active = true;
+	    this._teardowns = _.map(this._connectors, function(connector) {
+		return connector.call(this);
+	    }, this);
+	    this._link();
+	    if (this._refresh) this._refresh();
+	},
+
+	_deactivate: function() {
+	    var teardowns = this._teardowns;
+	    this._active = false;
+	    this._teardowns = [];
+	    _.each(teardowns, function(teardown) { if (teardown) teardown(); });
+	    this._unlink();
+	},
+
+	dispose: function() {
+	    if (this._disposed) return;
+	    this._deactivate();
+	    this._disposed = true;
+	    this._subscriptions = [];
+	    this.trigger("dispose");
+	    this.unbind();
+	}
+    };
+
+    var EventStream = function() {
+	this._initNode();
+    };
+    _.extend(EventStream.prototype, Backbone.Events, Node, {
+	_event: "occur",
+
 	_listen: function(callback) {
-	    this.bind("occur", callback);
+	    return this._subscribe("occur", callback);
 	},
 	
 	_unlisten: function(callback) {
-	    this.unbind("occur", callback);
+	    this._unsubscribe(callback);
 	},
 
 	_occur: function(payload) {
-	    this.trigger("occur", payload);
+	    if (this._ended) return;
+	    this._schedule(function() {
+		this.trigger("occur", payload);
+	    });
+	},
+
+	/*
+	  A stream that is done for good ends: anything it was about to
+	  occur with still gets through, then "end" is triggered and
+	  the stream disposes itself, letting go of its listeners and
+	  sources. Anything derived from only that stream ends along
+	  with it.
+	*/
+	_end: function() {
+	    if (this._ended || this._disposed) return;
+	    this._ended = true;
+	    this._schedule(function() {
+		this.trigger("end");
+		this.dispose();
+	    });
+	},
+
+	_onEnd: function(callback) {
+	    return this._subscribe("end", callback);
 	}
     });
    
@@ -84,12 +569,20 @@ $(document).ready(function() {
       pseudo-continuous time. This does violate an FRP notion of _time
       invariance_ where a program always behaves the same when shifted
       in time, but oh well!
+
+      The timer ticks every `delay` milliseconds, but only while
+      somebody is listening: it starts with the first listener, stops
+      when the last one goes away and starts up again for the next.
     */
 
-    var timerE = function(delay) {
+    var timerE = function(delay, clock) {
 	var stream = new EventStream();
-	setInterval(function() {
-	    stream._occur(new Date());
+	stream._connect(function() {
+	    var c = clock || Reactive.clock;
+	    var interval = c.setInterval(function() {
+		stream._occur(new Date(c.now()));
+	    }, delay);
+	    return function() { c.clearInterval(interval); };
 	});
 	return stream;
     }
@@ -100,42 +593,137 @@ $(document).ready(function() {
       call _change or _observe.
     */
 
-    var Behavior = function(initialValue) { 
-	this.value = initialValue;
+    /*
+      A behavior changing to the value it already has is not much of a
+      change, so _change quietly does nothing in that case. What counts
+      as the same value is up to an equality function: identity by
+      default, which is what you want for numbers and strings, or
+      shallow or deep comparison for behaviors that build fresh
+      objects and arrays every time. A behavior can be given its own
+      (by name or as a function), and otherwise uses Reactive.equals,
+      so the default can be changed for the whole program.
+    */
+
+    var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+    var equality = {
+	identity: function(a, b) {
+	    return a === b || (a !== a && b !== b);
+	},
+	shallow: function(a, b) {
+	    if (equality.identity(a, b)) return true;
+	    if (!_.isObject(a) || !_.isObject(b)) return false;
+	    if (_.isArray(a) !== _.isArray(b)) return false;
+	    var keys = _.keys(a);
+	    if (keys.length !== _.keys(b).length) return false;
+	    return _.all(keys, function(key) {
+		return hasOwnProperty.call(b, key) && equality.identity(a[key], b[key]);
+	    });
+	},
+	deep: function(a, b) {
+	    return equality.identity(a, b) || _.isEqual(a, b);
+	}
+    };
+    Reactive.equality = equality;
+    Reactive.equals = equality.identity;
+
+    var equalityFn = function(equals) {
+	return _.isString(equals) ? equality[equals] : equals;
     }
-    _.extend(Behavior.prototype, Backbone.Events, {
+
+    var Behavior = function(initialValue, equals) { 
+	this._value = initialValue;
+	if (equals) this._equals = equalityFn(equals);
+	this._initNode();
+    }
+    _.extend(Behavior.prototype, Backbone.Events, Node, {
+	_event: "change",
+
 	_change: function(newValue) {
-	    this.value = newValue;
-	    this.trigger("change", newValue);
+	    var equals = this._equals || Reactive.equals;
+	    if (equals(this._value, newValue)) return;
+	    this._value = newValue;
+	    this._schedule(function() {
+		this.trigger("change", this._value);
+	    }, "change");
 	},
 
 	_observe: function(fn) {
-	    this.bind("change", fn);
+	    return this._subscribe("change", fn);
 	},
 
 	_unobserve: function(fn) {
-	    this.unbind("change", fn);
+	    this._unsubscribe(fn);
+	},
+
+	/*
+	  sample() is how to read a behavior from the outside. A
+	  behavior that is connected is kept up to date by pushing, but
+	  one that nobody observes is not listening to anything and may
+	  be out of date. Those that know how to catch up (the ones with
+	  a _refresh) do so now, pulling from their own sources in turn.
+	  And a behavior whose sources have changed but whose turn in the
+	  queue has not come yet is dirty, so reading it recomputes it on
+	  the spot rather than handing out the old value.
+	*/
+	sample: function() {
+	    if (this._dirty) this._update();
+	    else if (!this._active && this._refresh) this._refresh();
+	    return this._value;
 	}
     });
+
+    /*
+      Reading .value used to be the way to read a behavior, and still
+      is, but it is now a getter that goes through sample(): a lazy
+      behavior nobody has read yet has no value stored until then, so
+      reading the field directly would hand out undefined. That does
+      mean .value needs an ES5 engine, and that assigning to it does
+      nothing; change a behavior through its sources instead.
+    */
+    Object.defineProperty(Behavior.prototype, "value", {
+	get: function() { return this.sample(); }
+    });
    
 
     /*
       A first primitive form of behavior is the stepper: Starting with
       some initial value, it listens to an event stream and saves
-      the values that come in.
+      the values that come in. Its value is the last event, whether
+      or not anybody was watching at the time, so it listens from the
+      start. The only steppers that may wait to be observed are those
+      that can find out what they missed when sampled (with a
+      _refresh), like timeB below.
     */
     
-    var stepperB = function(initialValue, stream) {
+    var lazyStepperB = function(initialValue, stream) {
 	var behavior = new Behavior(initialValue);
-	stream._listen(function(eventValue) {
-	    behavior._change(eventValue);
-	})
+	behavior._dependOn(stream);
+	behavior._connect(function() {
+	    return behavior._from(stream, function(eventValue) {
+		behavior._change(eventValue);
+	    }).dispose;
+	});
 	return behavior;
     }
 
-    /* And now we can make a behavior that counts time upwards */
+    var stepperB = function(initialValue, stream) {
+	return lazyStepperB(initialValue, stream)._keepConnected();
+    }
+
+    /*
+      And now we can make a behavior that counts time upwards. It knows
+      what its stream would have said, so it only listens to the timer
+      while observed, and sampling it unobserved still tells the time.
+    */
 
-    var timeB = function(init, granularity) { return stepperB(init, timerE(granularity)); };
+    var timeB = function(init, granularity, clock) {
+	var time = lazyStepperB(init, timerE(granularity, clock));
+	time._refresh = function() {
+	    time._value = new Date((clock || Reactive.clock).now());
+	};
+	return time;
+    }
 
     /* 
        That is a taste of how we build behaviors and event streams without going under
@@ -145,18 +733,94 @@ $(document).ready(function() {
 
     var mapE = function(f, stream) {
 	var mappedE = new EventStream();
-	stream._listen(function(ev) {
-	    mappedE._occur(f(ev));
+	mappedE._dependOn(stream);
+	mappedE._connect(function() {
+	    return mappedE._from(stream, function(ev) {
+		mappedE._occur(f(ev));
+	    }).dispose;
 	});
 	return mappedE;
     }
 
+    /*
+      A behavior computed from other behaviors has no state of its own,
+      so there is no point keeping it up to date while nobody looks.
+      Like every node, derivedB starts out disconnected, and it
+      computes nothing until it is sampled or observed: sampling it
+      recomputes it (quietly, since nobody was watching) if its
+      sources have moved on since last time, and observing it
+      connects it. Once connected, a
+      change upstream marks it dirty, and it waits for its own turn
+      in the queue before recomputing, rather than doing so the
+      instant its source changes. This is the push-pull of the paper
+      above, give or take.
+    */
+
+    var derivedB = function(sources, compute) {
+	var derived = new Behavior();
+	var seen = null;
+	var current = function() {
+	    return _.map(sources, function(source) { return source.sample(); });
+	};
+	derived._update = function() {
+	    derived._dirty = false;
+	    derived._change(compute.apply(null, seen = current()));
+	};
+	_.each(sources, function(source) {
+	    derived._dependOn(source);
+	});
+	derived._connect(function() {
+	    return disposer(_.map(sources, function(source) {
+		return derived._from(source, function() {
+		    derived._dirty = true;
+		    derived._schedule(function() {
+			if (derived._dirty) derived._update();
+		    }, "update");
+		});
+	    }));
+	});
+	derived._refresh = function() {
+	    var values = current();
+	    var stale = !seen || _.any(values, function(value, i) {
+		return value !== seen[i];
+	    });
+	    if (stale) derived._value = compute.apply(null, seen = values);
+	};
+	return derived;
+    }
+
     var mapB = function(f, behavior) {
-	var mappedB = new Behavior(behavior.value);
-	behavior._observe(function(v) {
-	    mappedB._change(f(v));
+	return derivedB([behavior], f);
+    }
+
+    /*
+      The combinators all make behaviors with the default equality;
+      skipDuplicatesB is the same behavior with a different one.
+      skipDuplicatesE does the same for an event stream, which has
+      no such thing built in, dropping any event equal to the one
+      before it.
+    */
+
+    var skipDuplicatesB = function(behavior, equals) {
+	var deduped = mapB(_.identity, behavior);
+	deduped._equals = equalityFn(equals || Reactive.equals);
+	return deduped;
+    }
+
+    var skipDuplicatesE = function(stream, equals) {
+	var deduped = new EventStream();
+	var same = equalityFn(equals || Reactive.equals);
+	var seen = false, last;
+	deduped._dependOn(stream);
+	deduped._connect(function() {
+	    return deduped._from(stream, function(event) {
+		if (seen && same(last, event)) return;
+		seen = true;
+		last = event;
+		deduped._occur(event);
+	    }).dispose;
 	});
-	return mappedB;
+	return deduped;
     }
 
     /*
@@ -167,28 +831,92 @@ $(document).ready(function() {
 
     var changesE = function(behavior) {
 	var stream = new EventStream();
-	behavior._observe(function(value) {
-	    stream._occur(value);
+	stream._dependOn(behavior);
+	stream._connect(function() {
+	    return stream._from(behavior, function(value) {
+		stream._occur(value);
+	    }).dispose;
 	});
 	return stream;
     }
     
     var mapB_2 = function(f, behavior) {
-	return stepperB(behavior.value, mapE(f, changesE(behavior)));
+	return stepperB(behavior.sample(), mapE(f, changesE(behavior)));
+    }
+
+    /*
+      stepperB only remembers the last thing it saw. To count things,
+      keep running totals, and so on, we need to fold over the stream.
+      collectE starts from `init` and occurs with `f(acc, event)` for
+      each event, remembering the result for next time, which is why
+      it folds in every event from the start, listened to or not.
+      scanE is the same without a starting point: its first
+      occurrence is just the first event.
+    */
+
+    var collectE = function(init, f, stream) {
+	var acc = init;
+	var collected = new EventStream();
+	collected._dependOn(stream);
+	collected._connect(function() {
+	    return collected._from(stream, function(event) {
+		collected._occur(acc = f(acc, event));
+	    }).dispose;
+	});
+	return collected._keepConnected();
+    }
+
+    var scanE = function(f, stream) {
+	var started = false;
+	return collectE(undefined, function(acc, event) {
+	    if (started) return f(acc, event);
+	    started = true;
+	    return event;
+	}, stream);
+    }
+
+    /*
+      accumB is the behavior version, where each event is a function
+      to apply to the current value. A counter is then just
+      accumB(0, mapE(function() { return function(n) { return n + 1; }; }, clicksE)).
+    */
+
+    var accumB = function(init, functionStream) {
+	return stepperB(init, collectE(init, function(acc, f) { return f(acc); }, functionStream));
     }
 
     var filterE = function(p, stream) {
 	var filtered = new EventStream();
-	stream._listen(function(event) {
-	    if (p(event)) filtered._occur(event);
+	filtered._dependOn(stream);
+	filtered._connect(function() {
+	    return filtered._from(stream, function(event) {
+		if (p(event)) filtered._occur(event);
+	    }).dispose;
 	});
 	return filtered;
     }
 
+    /*
+      A snapshot never observes the behavior, but it does read it, so
+      it holds a reference to keep the behavior connected, and it is
+      ranked above the behavior so that it reads the settled value.
+    */
+
     var snapshotE = function(behavior, stream) {
 	var snapshots = new EventStream();
-	stream._listen(function(event) {
-	    snapshots._occur(behavior.value); // bad? probably
+	snapshots._dependOn(stream);
+	snapshots._dependOn(behavior, true);
+	snapshots._connect(function() {
+	    behavior._retain();
+	    var subscription = snapshots._from(stream, function(event) {
+		snapshots._schedule(function() {
+		    snapshots._occur(behavior.sample()); // bad? probably
+		});
+	    });
+	    return function() {
+		subscription.dispose();
+		behavior._release();
+	    };
 	});
 	return snapshots;
     }
@@ -197,98 +925,1613 @@ $(document).ready(function() {
       And this all gets to be the most fun when it is higher-order.
       The switcherB starts as one behavior, but listens for new
       ones on an event and switches over to them. This is
-      also a primitive
+      also a primitive, and like the stepper it keeps listening for
+      switches whether or not anybody is observing it.
     */
 
     var switcherB = function(initialB, behaviorsE) {
-	var b = new Behavior(initialB.value);
+	var b = new Behavior(initialB.sample());
 	var currentB = initialB;
 	var callback = function(value) {
 	    b._change(value);
 	}
-	currentB._observe(callback);
-	behaviorsE._listen(function (newB) {
-	    currentB._unobserve(callback);
-	    currentB = newB;
-	    currentB._observe(callback);
-	    b._change(currentB.value);
+	b._dependOn(initialB);
+	b._dependOn(behaviorsE);
+	b._connect(function() {
+	    var current = b._from(currentB, callback);
+	    var switches = b._from(behaviorsE, function (newB) {
+		current.dispose();
+		if (newB !== currentB) b._undependOn(currentB);
+		currentB = newB;
+		current = b._from(currentB, callback);
+		b._change(currentB.sample());
+	    });
+	    return function() {
+		switches.dispose();
+		current.dispose();
+	    };
+	});
+	return b._keepConnected();
+    }
+
+    /*
+      Streams of streams come up just as often, say one request stream
+      per click. There are a few ways to flatten them. switchE is the
+      switcherB of event streams: it listens to whichever stream came
+      last, dropping the one before. It ends once the stream of streams
+      and the last stream it was listening to have both ended.
+    */
+
+    var switchE = function(streamsE) {
+	var switched = new EventStream();
+	var currentE = null;
+	var forward = function(event) {
+	    switched._occur(event);
+	};
+	switched._dependOn(streamsE);
+	switched._connect(function() {
+	    var outerEnded = false;
+	    var listen = function(stream) {
+		return switched._from(stream, forward, null, function() {
+		    if (outerEnded) switched._end();
+		});
+	    };
+	    var current = currentE && listen(currentE);
+	    var switches = switched._from(streamsE, function(newE) {
+		if (current) current.dispose();
+		if (currentE && currentE !== newE) switched._undependOn(currentE);
+		currentE = newE;
+		current = listen(currentE);
+	    }, null, function() {
+		outerEnded = true;
+		if (!currentE || currentE._ended) switched._end();
+	    });
+	    return function() {
+		switches.dispose();
+		if (current) current.dispose();
+	    };
+	});
+	return switched;
+    }
+
+    /*
+      mergeAllE listens to every stream that comes along, for as long
+      as it is connected itself, and ends when they all have, the
+      stream of streams included. flatMapE is mapE followed by that.
+    */
+
+    var mergeAllE = function(streamsE) {
+	var merged = new EventStream();
+	var forward = function(event) {
+	    merged._occur(event);
+	};
+	merged._dependOn(streamsE);
+	merged._connect(function() {
+	    var inner = [], active = 0, outerEnded = false;
+	    var check = function() {
+		if (outerEnded && !active) merged._end();
+	    };
+	    var outer = merged._from(streamsE, function(stream) {
+		active++;
+		var subscription = merged._from(stream, forward, null, function() {
+		    subscription.dispose();
+		    inner = _.without(inner, subscription);
+		    merged._undependOn(stream);
+		    active--;
+		    check();
+		});
+		inner.push(subscription);
+	    }, null, function() {
+		outerEnded = true;
+		check();
+	    });
+	    return function() {
+		outer.dispose();
+		disposer(inner)();
+	    };
 	});
-	return b;
+	return merged;
+    }
+
+    var flatMapE = function(f, stream) {
+	return mergeAllE(mapE(f, stream));
+    }
+
+    /*
+      concatMapE takes turns: the stream made from each event is only
+      listened to once the streams before it are done, which is to say
+      ended (or disposed). Since streams are not replayed, whatever a
+      stream does before its turn comes is missed. It ends when the
+      original stream has ended and every turn has been taken.
+    */
+
+    var concatMapE = function(f, stream) {
+	var concatenated = new EventStream();
+	var forward = function(event) {
+	    concatenated._occur(event);
+	};
+	concatenated._dependOn(stream);
+	concatenated._connect(function() {
+	    var waiting = [], current = null, outerEnded = false;
+	    var stop = function() {
+		if (!current) return;
+		current.stream.unbind("dispose", next);
+		current.subscription.dispose();
+		concatenated._undependOn(current.stream);
+		current = null;
+	    };
+	    var next = function() {
+		stop();
+		var innerE = waiting.shift();
+		while (innerE && innerE._disposed) innerE = waiting.shift();
+		if (!innerE) {
+		    if (outerEnded) concatenated._end();
+		    return;
+		}
+		current = { stream: innerE, subscription: concatenated._from(innerE, forward, null, next) };
+		innerE.bind("dispose", next);
+	    };
+	    var outer = concatenated._from(stream, function(event) {
+		waiting.push(f(event));
+		if (!current) next();
+	    }, null, function() {
+		outerEnded = true;
+		if (!current) next();
+	    });
+	    return function() {
+		outer.dispose();
+		waiting = [];
+		stop();
+	    };
+	});
+	return concatenated;
+    }
+
+    /*
+      Now that streams can end, we can cut them short. takeE occurs
+      with the first `n` events and ends, takeWhileE ends at the
+      first event failing `p`, and takeUntilE ends as soon as `stopE`
+      occurs. skipE is the opposite of takeE. The counts carry over
+      if the stream disconnects and reconnects.
+    */
+
+    var takeE = function(n, stream) {
+	var taken = new EventStream();
+	var count = 0;
+	taken._dependOn(stream);
+	taken._connect(function() {
+	    if (count >= n) {
+		taken._end();
+		return null;
+	    }
+	    return taken._from(stream, function(event) {
+		if (count >= n) return;
+		count++;
+		taken._occur(event);
+		if (count >= n) taken._end();
+	    }).dispose;
+	});
+	return taken;
+    }
+
+    var takeWhileE = function(p, stream) {
+	var taken = new EventStream();
+	taken._dependOn(stream);
+	taken._connect(function() {
+	    return taken._from(stream, function(event) {
+		if (p(event)) taken._occur(event);
+		else taken._end();
+	    }).dispose;
+	});
+	return taken;
+    }
+
+    var takeUntilE = function(stopE, stream) {
+	var taken = new EventStream();
+	taken._dependOn(stream);
+	taken._connect(function() {
+	    return disposer([
+		taken._from(stream, function(event) {
+		    taken._occur(event);
+		}),
+		taken._from(stopE, function() {
+		    taken._end();
+		}, null, function() { })
+	    ]);
+	});
+	return taken;
+    }
+
+    var skipE = function(n, stream) {
+	var skipped = new EventStream();
+	var count = 0;
+	skipped._dependOn(stream);
+	skipped._connect(function() {
+	    return skipped._from(stream, function(event) {
+		if (count < n) count++;
+		else skipped._occur(event);
+	    }).dispose;
+	});
+	return skipped;
+    }
+
+    /*
+      And concatE listens to each of its streams in turn, moving on
+      when one ends, and ends after the last one.
+    */
+
+    var concatE = function() {
+	var streams = _.toArray(arguments);
+	var concatenated = new EventStream();
+	var index = 0;
+	var forward = function(event) {
+	    concatenated._occur(event);
+	};
+	_.each(streams, function(stream) {
+	    concatenated._dependOn(stream);
+	});
+	concatenated._connect(function() {
+	    var current = null;
+	    var listen = function() {
+		while (index < streams.length && streams[index]._ended) index++;
+		if (index >= streams.length) {
+		    concatenated._end();
+		    current = null;
+		    return;
+		}
+		current = concatenated._from(streams[index], forward, null, function() {
+		    current.dispose();
+		    index++;
+		    listen();
+		});
+	    };
+	    listen();
+	    return function() { if (current) current.dispose(); };
+	});
+	return concatenated;
+    }
+
+    /*
+      mapB only takes one behavior, but most interesting things depend
+      on several. liftB takes a function of n arguments and n
+      behaviors, and recomputes whenever any of them changes. Since it
+      is ranked above all of its inputs it only ever sees them all
+      settled, and it recomputes once per transaction however many of
+      them changed.
+    */
+
+    var liftB = function(f) {
+	return derivedB(_.rest(arguments), f);
+    }
+
+    /*
+      combineB is liftB without the function: given an array of
+      behaviors it is a behavior of arrays, and given an object whose
+      values are behaviors it is a behavior of objects with the same
+      keys.
+    */
+
+    var combineB = function(behaviors) {
+	if (_.isArray(behaviors)) {
+	    return liftB.apply(null, [function() { return _.toArray(arguments); }].concat(behaviors));
+	}
+	var keys = _.keys(behaviors);
+	var combine = function() {
+	    var values = arguments, result = {};
+	    _.each(keys, function(key, i) { result[key] = values[i]; });
+	    return result;
+	};
+	return liftB.apply(null, [combine].concat(_.map(keys, function(key) { return behaviors[key]; })));
+    }
+
+    /*
+      Event streams need combining too. mergeE occurs whenever any of
+      its streams does; if several occur in the same transaction you
+      get all of them, in order. It ends when they all have.
+    */
+
+    var whenAll = function(count, fn) {
+	return function() {
+	    if (--count === 0) fn();
+	};
+    }
+
+    var mergeE = function() {
+	var streams = _.toArray(arguments);
+	var merged = new EventStream();
+	_.each(streams, function(stream) {
+	    merged._dependOn(stream);
+	});
+	merged._connect(function() {
+	    var ended = whenAll(streams.length, function() { merged._end(); });
+	    return disposer(_.map(streams, function(stream) {
+		return merged._from(stream, function(event) {
+		    merged._occur(event);
+		}, null, ended);
+	    }));
+	});
+	return merged;
+    }
+
+    /*
+      zipE pairs up the nth occurrence of each stream, holding on to
+      occurrences until every stream has one to contribute. Whatever
+      is buffered is dropped when it disconnects. Once some stream has
+      ended and everything it contributed has been used up, there will
+      be no more pairs, so it ends.
+    */
+
+    var zipE = function() {
+	var streams = _.toArray(arguments);
+	var zipped = new EventStream();
+	_.each(streams, function(stream) {
+	    zipped._dependOn(stream);
+	});
+	zipped._connect(function() {
+	    var buffers = _.map(streams, function() { return []; });
+	    var ended = [];
+	    var check = function() {
+		var exhausted = _.any(buffers, function(buffer, i) {
+		    return ended[i] && !buffer.length;
+		});
+		if (exhausted) zipped._end();
+	    };
+	    return disposer(_.map(streams, function(stream, i) {
+		return zipped._from(stream, function(event) {
+		    buffers[i].push(event);
+		    if (_.all(buffers, function(buffer) { return buffer.length; })) {
+			zipped._occur(_.map(buffers, function(buffer) { return buffer.shift(); }));
+			check();
+		    }
+		}, null, function() {
+		    ended[i] = true;
+		    check();
+		});
+	    }));
+	});
+	return zipped;
+    }
+
+    /*
+      combineLatestE remembers the latest occurrence of each stream
+      and, once all of them have occurred, occurs with an array of
+      those whenever any of them occurs. Like liftB it waits its turn,
+      so streams that occur together produce one combined occurrence.
+      It ends when they all have.
+    */
+
+    var combineLatestE = function() {
+	var streams = _.toArray(arguments);
+	var combined = new EventStream();
+	_.each(streams, function(stream) {
+	    combined._dependOn(stream);
+	});
+	combined._connect(function() {
+	    var latest = [], seen = [];
+	    var emit = function() {
+		if (_.compact(seen).length === streams.length) {
+		    combined._occur(_.clone(latest));
+		}
+	    };
+	    var ended = whenAll(streams.length, function() { combined._end(); });
+	    return disposer(_.map(streams, function(stream, i) {
+		return combined._from(stream, function(event) {
+		    latest[i] = event;
+		    seen[i] = true;
+		    combined._schedule(emit, "combine");
+		}, null, ended);
+	    }));
+	});
+	return combined;
+    }
+
+    /*
+      Then there are the combinators that play with time. They all
+      share the same shape, so timedE does the plumbing: `setup` is
+      called on each connection with the output stream and a way to
+      set timeouts, and returns the listener for the input stream.
+      Any timeouts still pending are cancelled on disconnect. When the
+      input ends, the output ends as soon as no timeouts are pending.
+      `delayed` says that nothing gets through without waiting, which
+      is true of delayE and debounceE but not the others.
+    */
+
+    var timedE = function(stream, clock, setup, delayed) {
+	var result = new EventStream();
+	result._dependOn(stream, delayed);
+	result._connect(function() {
+	    var c = clock || Reactive.clock, timers = [], ended = false;
+	    var finish = function() {
+		if (ended && !timers.length) result._end();
+	    };
+	    var time = {
+		after: function(ms, fn) {
+		    var id = c.setTimeout(function() {
+			timers = _.without(timers, id);
+			fn();
+			finish();
+		    }, ms);
+		    timers.push(id);
+		    return id;
+		},
+		cancel: function(id) {
+		    c.clearTimeout(id);
+		    timers = _.without(timers, id);
+		}
+	    };
+	    var subscription = result._from(stream, setup(result, time), null, function() {
+		ended = true;
+		finish();
+	    });
+	    return function() {
+		subscription.dispose();
+		_.each(timers, function(id) { c.clearTimeout(id); });
+	    };
+	});
+	return result;
+    }
+
+    /* delayE occurs with every event, `ms` milliseconds late. */
+
+    var delayE = function(ms, stream, clock) {
+	return timedE(stream, clock, function(delayed, time) {
+	    return function(event) {
+		time.after(ms, function() { delayed._occur(event); });
+	    };
+	}, true);
+    }
+
+    /*
+      throttleE lets an event through right away and then at most one
+      more per `ms` milliseconds: the latest one to arrive in the
+      meantime.
+    */
+
+    var throttleE = function(ms, stream, clock) {
+	return timedE(stream, clock, function(throttled, time) {
+	    var timer = null, pending = false, latest;
+	    var reopen = function() {
+		timer = null;
+		if (pending) {
+		    pending = false;
+		    throttled._occur(latest);
+		    timer = time.after(ms, reopen);
+		}
+	    };
+	    return function(event) {
+		if (timer === null) {
+		    throttled._occur(event);
+		    timer = time.after(ms, reopen);
+		} else {
+		    pending = true;
+		    latest = event;
+		}
+	    };
+	});
+    }
+
+    /*
+      debounceE waits for a burst of events to be over, that is for
+      `ms` milliseconds with nothing happening, and then occurs with
+      the last one. calmE is the other way around: it occurs with the
+      first event of a burst and swallows the rest of it.
+    */
+
+    var debounceE = function(ms, stream, clock) {
+	return timedE(stream, clock, function(debounced, time) {
+	    var timer = null, latest;
+	    return function(event) {
+		latest = event;
+		if (timer !== null) time.cancel(timer);
+		timer = time.after(ms, function() {
+		    timer = null;
+		    debounced._occur(latest);
+		});
+	    };
+	}, true);
+    }
+
+    var calmE = function(ms, stream, clock) {
+	return timedE(stream, clock, function(calmed, time) {
+	    var timer = null;
+	    return function(event) {
+		if (timer === null) calmed._occur(event);
+		else time.cancel(timer);
+		timer = time.after(ms, function() { timer = null; });
+	    };
+	});
+    }
+
+    /* And each of them makes sense for the changes of a behavior. */
+
+    var delayB = function(ms, behavior, clock) {
+	return stepperB(behavior.sample(), delayE(ms, changesE(behavior), clock));
+    }
+
+    var throttleB = function(ms, behavior, clock) {
+	return stepperB(behavior.sample(), throttleE(ms, changesE(behavior), clock));
+    }
+
+    var debounceB = function(ms, behavior, clock) {
+	return stepperB(behavior.sample(), debounceE(ms, changesE(behavior), clock));
+    }
+
+    var calmB = function(ms, behavior, clock) {
+	return stepperB(behavior.sample(), calmE(ms, changesE(behavior), clock));
+    }
+
+    /*
+      timeB is only continuous in name: it is a stepper, and holds
+      still between ticks of its timer. The behaviors here really are
+      functions of time. Sampling one works out its value for the
+      time it is now, and observing one samples it on every animation
+      frame (animationFrameE, occurring with the time), so a
+      continuous behavior bound to the page animates smoothly and
+      stops costing anything when it is unbound. continuousB is the
+      plain version, for any `f(t)` of the clock's milliseconds.
+    */
+
+    var animationFrameE = function(clock) {
+	var stream = new EventStream();
+	stream._connect(function() {
+	    var c = clock || Reactive.clock, id;
+	    var frame = function() {
+		id = c.requestAnimationFrame(frame);
+		stream._occur(c.now());
+	    };
+	    id = c.requestAnimationFrame(frame);
+	    return function() { c.cancelAnimationFrame(id); };
+	});
+	return stream;
+    }
+
+    var animatedB = function(valueAt, clock) {
+	var frames = animationFrameE(clock);
+	var animated = new Behavior();
+	animated._dependOn(frames);
+	animated._connect(function() {
+	    return animated._from(frames, function(t) {
+		animated._change(valueAt(t));
+	    }).dispose;
+	});
+	animated._refresh = function() {
+	    animated._value = valueAt((clock || Reactive.clock).now());
+	};
+	return animated;
+    }
+
+    var continuousB = function(f, clock) {
+	return animatedB(f, clock);
+    }
+
+    /*
+      integralB is the area under a numeric behavior, per second,
+      since it was first sampled, and derivativeB is how fast one is
+      changing, per second. Both only know about the samples they
+      take, so unobserved they are only as accurate as you read them
+      often, though an observed integralB also steps every time its
+      behavior changes, which makes it exact for steppers.
+    */
+
+    var integralB = function(behavior, clock) {
+	var last = null, value, total = 0;
+	var step = function(t) {
+	    if (last !== null) total += value * (t - last) / 1000;
+	    last = t;
+	    value = behavior.sample();
+	    return total;
+	};
+	var integral = animatedB(step, clock);
+	integral._connect(function() {
+	    return integral._from(behavior, function() {
+		step((clock || Reactive.clock).now());
+	    }).dispose;
+	});
+	return integral;
+    }
+
+    var derivativeB = function(behavior, clock) {
+	var last = null, previous, rate = 0;
+	var derivative = animatedB(function(t) {
+	    var value = behavior.sample();
+	    if (last !== null && t > last) rate = (value - previous) * 1000 / (t - last);
+	    last = t;
+	    previous = value;
+	    return rate;
+	}, clock);
+	derivative._connect(function() {
+	    return derivative._from(behavior, function() { }).dispose;
+	});
+	return derivative;
+    }
+
+    /*
+      tweenB follows a numeric behavior, but rather than jumping when
+      it changes it moves from wherever it was to the new value over
+      `duration` milliseconds. How it gets there is up to an easing
+      function from progress (0 to 1) to distance covered (likewise),
+      either one of Reactive.easing by name or your own.
+    */
+
+    var easing = {
+	linear: function(p) { return p; },
+	easeIn: function(p) { return p * p; },
+	easeOut: function(p) { return p * (2 - p); },
+	easeInOut: function(p) { return p < 0.5 ? 2 * p * p : p * (4 - 2 * p) - 1; }
+    };
+    Reactive.easing = easing;
+
+    var tweenB = function(targetB, duration, ease, clock) {
+	var curve = _.isString(ease) ? easing[ease] : (ease || easing.linear);
+	var from, to, start = null;
+	var position = function(t) {
+	    var progress = duration > 0 ? Math.min(1, (t - start) / duration) : 1;
+	    return from + (to - from) * curve(progress);
+	};
+	var tween = animatedB(function(t) {
+	    var target = targetB.sample();
+	    if (start === null) {
+		from = to = target;
+		start = t;
+	    } else if (target !== to) {
+		from = position(t);
+		to = target;
+		start = t;
+	    }
+	    return position(t);
+	}, clock);
+	tween._connect(function() {
+	    return tween._from(targetB, function() { }).dispose;
+	});
+	return tween;
+    }
+
+    /*
+      Asynchronous results (XHR, timers, whatever) usually show up as
+      promises, by which I mean anything with a then(onResolved,
+      onRejected) method. fromPromiseE occurs once, when the promise
+      resolves, or errors if it is rejected, and then ends. There is
+      no taking back a then(), so a disconnected stream just ignores
+      what it is told, and the value is not delivered a second time
+      to somebody who reconnects later.
+    */
+
+    var fromPromiseE = function(promise) {
+	var stream = new EventStream();
+	var delivered = false;
+	stream._connect(function() {
+	    var connected = true;
+	    promise.then(function(value) {
+		if (!connected || delivered) return;
+		delivered = true;
+		stream._occur(value);
+		stream._end();
+	    }, function(error) {
+		if (!connected || delivered) return;
+		delivered = true;
+		stream._error(error);
+		stream._end();
+	    });
+	    return function() { connected = false; };
+	});
+	return stream;
+    }
+
+    /*
+      awaitB is the state of a promise as a behavior: an object with a
+      `status` of "pending", "resolved" or "rejected", and the `value`
+      or `error` once there is one. Map it to a string and hand it to
+      bindB for a loading indicator.
+    */
+
+    var awaitB = function(promise) {
+	var state = new Behavior({ status: "pending" });
+	promise.then(function(value) {
+	    state._change({ status: "resolved", value: value });
+	}, function(error) {
+	    state._change({ status: "rejected", error: error });
+	});
+	return state;
+    }
+
+    /*
+      mapAsyncE calls `f` with each event and occurs with what the
+      promise it returns resolves to. Responses do not necessarily
+      come back in the order the requests went out, so there is a
+      choice of policy:
+
+       - "latest" (the default) only lets through the response to the
+         most recent event, dropping the ones it overtook;
+       - "queue" waits for each promise to settle before calling `f`
+         for the next event, so responses come out in order;
+       - "parallel" lets everything through as soon as it arrives.
+
+      Any other policy is an error. Rejections become errors, subject
+      to the same policy, and so does `f` throwing or returning
+      something that is not a promise. Responses that arrive after
+      disconnecting are dropped, as is anything still waiting in the
+      queue. Once the original stream ends, the result ends when every
+      promise has settled.
+    */
+
+    var mapAsyncE = function(f, stream, policy) {
+	policy = policy || "latest";
+	if (!_.include(["latest", "queue", "parallel"], policy)) {
+	    throw new Error("Reactive: unknown mapAsyncE policy \"" + policy + "\"");
+	}
+	var mapped = new EventStream();
+	mapped._dependOn(stream);
+	mapped._connect(function() {
+	    var connected = true, latest = 0, waiting = [], busy = false;
+	    var inFlight = 0, ended = false;
+	    var finish = function() {
+		if (ended && !inFlight && !waiting.length) mapped._end();
+	    };
+	    var call = function(event, onValue, onError) {
+		var settled = function(handle) {
+		    return function(result) {
+			inFlight--;
+			handle(result);
+			if (connected) finish();
+		    };
+		};
+		inFlight++;
+		try {
+		    var promise = f(event);
+		    if (!promise || !_.isFunction(promise.then)) {
+			throw new TypeError("Reactive: mapAsyncE's function has to return a promise");
+		    }
+		    promise.then(settled(onValue), settled(onError));
+		} catch (error) {
+		    settled(onError)(error);
+		}
+	    };
+	    var deliver = function(value) {
+		if (connected) mapped._occur(value);
+	    };
+	    var fail = function(error) {
+		if (connected) mapped._error(error);
+	    };
+	    var next = function() {
+		if (!connected || !waiting.length) {
+		    busy = false;
+		    return;
+		}
+		busy = true;
+		call(waiting.shift(), function(value) {
+		    deliver(value);
+		    next();
+		}, function(error) {
+		    fail(error);
+		    next();
+		});
+	    };
+	    var subscription = mapped._from(stream, function(event) {
+		if (policy === "queue") {
+		    waiting.push(event);
+		    if (!busy) next();
+		} else if (policy === "parallel") {
+		    call(event, deliver, fail);
+		} else {
+		    var request = ++latest;
+		    call(event, function(value) {
+			if (request === latest) deliver(value);
+		    }, function(error) {
+			if (request === latest) fail(error);
+		    });
+		}
+	    }, null, function() {
+		ended = true;
+		finish();
+	    });
+	    return function() {
+		connected = false;
+		waiting = [];
+		subscription.dispose();
+	    };
+	});
+	return mapped;
+    }
+
+    /*
+      Now for dealing with errors. catchE passes events through and
+      turns each error into an occurrence of `f(error)`; leave out `f`
+      to just swallow errors. onErrorB is the same for behaviors: on
+      an error it changes to `f(error)`.
+    */
+
+    var catchE = function(f, stream) {
+	var caught = new EventStream();
+	caught._dependOn(stream);
+	caught._connect(function() {
+	    return caught._from(stream, function(event) {
+		caught._occur(event);
+	    }, function(error) {
+		if (f) caught._schedule(function() { caught._occur(f(error)); });
+	    }).dispose;
+	});
+	return caught;
+    }
+
+    var onErrorB = function(f, behavior) {
+	var recovered = new Behavior(behavior.sample());
+	recovered._dependOn(behavior);
+	recovered._connect(function() {
+	    return recovered._from(behavior, function(value) {
+		recovered._change(value);
+	    }, function(error) {
+		recovered._schedule(function() { recovered._change(f(error)); });
+	    }).dispose;
+	});
+	recovered._refresh = function() {
+	    recovered._value = behavior.sample();
+	};
+	return recovered;
+    }
+
+    /*
+      Retrying only makes sense for something that can be started
+      over, like a request, so retryE takes a function that makes the
+      stream rather than the stream. When the stream errors it is
+      disposed and a fresh one made, up to `times` times, after which
+      the error is let through. Reconnecting starts the count over.
+    */
+
+    var retryE = function(times, makeStream) {
+	var retried = new EventStream();
+	var forward = function(event) {
+	    retried._occur(event);
+	};
+	retried._connect(function() {
+	    var failures = 0, current = null;
+	    var attempt = function() {
+		var stream = makeStream();
+		var subscription = retried._from(stream, forward, function(error) {
+		    subscription.dispose();
+		    stream.dispose();
+		    retried._undependOn(stream);
+		    if (failures++ < times) attempt();
+		    else retried._error(error);
+		});
+		current = subscription;
+	    };
+	    attempt();
+	    return function() { current.dispose(); };
+	});
+	return retried;
+    }
+
+    /*
+      With a VirtualClock in hand, the easiest way to check what a
+      stream does is to write down what happened and when. recordE
+      listens to a stream and keeps [time, event] pairs in `events`.
+      marbles(frame) draws them as a marble diagram, one character per
+      `frame` milliseconds since recording started: "-" for nothing,
+      the event for one event, "|" for the end of the stream, and
+      "(ab)" for several in the same frame. So the throttle of a
+      stream that occurs at 0, 3 and 6 ms, over 10ms, is "a---------c"
+      in 1ms frames.
+    */
+
+    var recordE = function(stream, clock) {
+	var c = clock || Reactive.clock;
+	var start = c.now();
+	var record = {
+	    events: [],
+
+	    marbles: function(frame) {
+		var frames = [];
+		var mark = function(time, symbol) {
+		    var i = Math.floor((time - start) / (frame || 1));
+		    (frames[i] || (frames[i] = [])).push(symbol);
+		};
+		_.each(record.events, function(occurrence) {
+		    mark(occurrence[0], String(occurrence[1]));
+		});
+		if (record.ended !== undefined) mark(record.ended, "|");
+		return _.map(_.range(frames.length), function(i) {
+		    if (!frames[i]) return "-";
+		    return frames[i].length === 1 ? frames[i][0] : "(" + frames[i].join("") + ")";
+		}).join("");
+	    }
+	};
+	record.dispose = disposer([
+	    stream._listen(function(event) {
+		record.events.push([c.now(), event]);
+	    }),
+	    stream._onEnd(function() {
+		record.ended = c.now();
+	    })
+	]);
+	return record;
     }
 
     /*
       To actually see this stuff, we need a "legacy" adapters to the
       browsers imperatively-updated DOM. In this implementation, we
       can actually above mapB for this, but that is not in the spirit
-      of the function, so we'll drop to primitives again.
+      of the function, so we'll drop to primitives again. The
+      subscription is handed back so the binding can be undone.
+
+      Touching the DOM is the expensive part, and there is no point
+      doing it more often than the browser paints. So the sinks do
+      not write when a behavior changes; they queue the write, and
+      the queue is flushed on the next animation frame. Each element
+      has one slot per thing a sink can write (its content, a given
+      attribute, and so on), and a write to a slot that already has
+      one queued replaces it, so an element that changes ten times
+      between frames is written once. Undoing a binding drops whatever
+      it still had queued.
+
+      Every sink takes an optional last argument of options, and
+      { sync: true } makes that one write straight away. Set
+      Reactive.batchWrites to false to have them all do so, or call
+      Reactive.flushWrites() to get the queue written now. (bindValueB
+      and syncToModel never wait: somebody is typing into the one,
+      and the other is not the DOM at all.)
      */
 
-    var bindB = function(elem, behavior) {
-	behavior._observe(function(value) {
-	    $(elem).html(value);
+    Reactive.batchWrites = true;
+
+    /*
+      The frame is asked of whatever Reactive.clock is at the time, and
+      remembered along with that clock, so that if the clock is
+      swapped before the frame comes (a test installing a fresh
+      VirtualClock, say) the next write asks the new one instead of
+      waiting on a frame that will never come.
+    */
+
+    var queuedWrites = [], requestedFrame = null;
+
+    var requestFlush = function() {
+	var clock = Reactive.clock;
+	if (requestedFrame && requestedFrame.clock === clock) return;
+	cancelFlush();
+	requestedFrame = { clock: clock, id: clock.requestAnimationFrame(flushWrites) };
+    }
+
+    var cancelFlush = function() {
+	if (requestedFrame) requestedFrame.clock.cancelAnimationFrame(requestedFrame.id);
+	requestedFrame = null;
+    }
+
+    var commitWrite = function(owner, elem, slot, write) {
+	var target = Reactive.$(elem)[0];
+	var queued = target && _.detect(queuedWrites, function(entry) {
+	    return entry.target === target && entry.slot === slot;
 	});
+	if (queued) _.extend(queued, { owner: owner, write: write });
+	else queuedWrites.push({ owner: owner, target: target, slot: slot, write: write });
+	requestFlush();
+    }
+
+    /* Writes can make more writes (bindListB does), so keep going until there are none. */
+
+    var flushWrites = function() {
+	cancelFlush();
+	while (queuedWrites.length) {
+	    var writes = queuedWrites;
+	    queuedWrites = [];
+	    _.each(writes, function(entry) {
+		if (entry.owner.disposed) return;
+		try {
+		    entry.write();
+		} catch (error) {
+		    unhandledError(error);
+		}
+	    });
+	}
+    }
+    Reactive.flushWrites = flushWrites;
+
+    var observeDom = function(elem, slot, behavior, write, options) {
+	var owner = { disposed: false };
+	var subscription = behavior._observe(function(value) {
+	    if ((options && options.sync) || !Reactive.batchWrites) write(value);
+	    else commitWrite(owner, elem, slot, function() { write(value); });
+	});
+	var dispose = subscription.dispose;
+	subscription.dispose = function() {
+	    dispose();
+	    owner.disposed = true;
+	    queuedWrites = _.reject(queuedWrites, function(entry) { return entry.owner === owner; });
+	};
+	return subscription;
+    }
+
+    var bindB = function(elem, behavior, options) {
+	return observeDom(elem, "content", behavior, function(value) {
+	    Reactive.$(elem).html(value);
+	}, options);
     }
 
     /*
-      If you are a clever imperative programmer you will have noticed that
-      I could also have implemented _observe and _changes with mapB. There
-      are a lot of pieces of this framework that suffice to build
-      the rest out.
+      Shoving every value through .html() is a fine way to get script
+      injected into your page, and redraws the whole element on every
+      change. These sinks each touch only one thing: the text, an
+      attribute, a class, a style, a DOM property or the visibility.
+      Unlike bindB they write the current value straight away, and
+      only queue the writes after that. Use bindTextB rather than
+      bindB for anything a user typed.
+    */
 
-      Another thing to note is that the framework does nothing to
-      minimize the amount of event passing that happens.  You've got
-      filterE (and potentially friennds) to do that, but it can take
-      some ingenuity to make sure the same value isn't pushed over and
-      over. I'm sure there are solutions in the literature which I
-      have simply neglected in this quick hack.
+    var sinkB = function(behavior, write) {
+	write(behavior.sample());
+	return behavior._observe(write);
+    }
 
-      Anyhow, we can now bind a bunch of behaviors to the DOM and
-      watch them go.
-     */
-    
-    var startMillis = new Date().getTime();
+    var domSinkB = function(elem, slot, behavior, write, options) {
+	write(behavior.sample());
+	return observeDom(elem, slot, behavior, write, options);
+    }
 
-    var datetimeToDecisB = timeB(0, 100);
-    bindB($('#datetime'), mapB(function(d) { return d.toString(); }, datetimeToDecisB));
+    var bindTextB = function(elem, behavior, options) {
+	return domSinkB(elem, "content", behavior, function(value) {
+	    var $elem = Reactive.$(elem);
+	    var text = value == null ? "" : String(value);
+	    if ($elem.text() !== text) $elem.text(text);
+	}, options);
+    }
 
-    var decisB = mapB(function(dt) { return Math.floor(dt.getTime() / 100); }, datetimeToDecisB);
-    bindB($('#deciseconds'), decisB);
+    /* null, undefined and false remove the attribute altogether. */
 
-    var decisWrapE = filterE(function(value) { return value % 10 == 0; }, changesE(decisB));
-    var decisWhenWrappedB = stepperB(decisB.value, snapshotE(decisB, decisWrapE));
+    var bindAttrB = function(elem, name, behavior, options) {
+	return domSinkB(elem, "attr:" + name, behavior, function(value) {
+	    var $elem = Reactive.$(elem);
+	    if (value == null || value === false) $elem.removeAttr(name);
+	    else $elem.attr(name, String(value));
+	}, options);
+    }
 
-    var secondsB = mapB(function(decis) { return Math.floor(decis / 10); }, decisB);
-    var secondsB2 = mapB_2(function(decis) { return Math.floor(decis / 10); }, decisB);
-    bindB($('#seconds'), secondsB);
-    bindB($('#seconds2'), secondsB2);
+    var bindClassB = function(elem, className, behavior, options) {
+	return domSinkB(elem, "class:" + className, behavior, function(value) {
+	    Reactive.$(elem).toggleClass(className, !!value);
+	}, options);
+    }
 
-    var secondsB3 = mapB(function(decis) { return Math.floor(decis / 10); }, decisWhenWrappedB);
-    var isEven = function(n) { return n % 2 == 0; }
-    var secondsEvenB = mapB(isEven, secondsB3)
+    var bindStyleB = function(elem, property, behavior, options) {
+	return domSinkB(elem, "style:" + property, behavior, function(value) {
+	    Reactive.$(elem).css(property, value == null ? "" : value);
+	}, options);
+    }
 
-    var stutterB = switcherB(decisB,
-			     mapE(function(even) { return even ? decisB : decisWhenWrappedB; },
-				  changesE(secondsEvenB)));
-    
-    bindB($('#secondsEven'), mapB(function(even) { return even ? "YES \\(^_^)/" : "NO ;_;"; }, secondsEvenB));
-    bindB($('#stutter'), stutterB);
+    var bindPropB = function(elem, property, behavior, options) {
+	return domSinkB(elem, "prop:" + property, behavior, function(value) {
+	    Reactive.$(elem).each(function() {
+		if (this[property] !== value) this[property] = value;
+	    });
+	}, options);
+    }
 
-    var template = ich['icanhaz-example'];
-    bindB($('#icanhaz-output'), mapB(template,
-				     mapB(function(decis) { return {list: _.range(decis % 10)}; },
-					  decisB)));
+    var bindVisibleB = function(elem, behavior, options) {
+	return domSinkB(elem, "visible", behavior, function(value) {
+	    var $elem = Reactive.$(elem);
+	    if (value) $elem.show(); else $elem.hide();
+	}, options);
+    }
 
     /*
-      That was fun! Google around to see what is out there.  There are
-      a number of additional primitives needed, and most libraries
-      provide a huge pile of them. The closest thing I can reacall
-      seeing about figuring out canonical primitives is <a
-      href="http://www.wpi.edu/Pubs/ETD/Available/etd-042908-133033/unrestricted/cking.pdf">this
-      rather challenging paper</a>.
-    
-      For real libraries, I think <a
-      href="http://hackage.haskell.org/package/reactive">Reactive</a>
-      in Haskell is the state of the art. I'm not sure about libraries
-      in other languages, but would love to hear about them.
+      Lists are where redrawing everything really hurts: the focus,
+      the scroll position and whatever else the user was in the middle
+      of all get thrown away. bindListB takes over a container and
+      keeps one child per item of an array behavior, matched up from
+      one array to the next by `keyFn(item)`. renderItem(itemB, key)
+      is only called for keys it has not seen, and returns the element
+      (or jQuery object, or HTML string) for the item. It is handed a
+      behavior rather than the item itself, so that it can bind the
+      parts that change when the item does; everything it builds is
+      disposed when the item goes away. Between arrays, children are
+      only inserted, moved or removed where the keys say so.
+    */
+
+    var bindListB = function(container, arrayB, keyFn, renderItem, options) {
+	var parent = Reactive.$(container).empty()[0];
+	var entries = {};
+	var discard = function(entry) {
+	    entry.graph.dispose();
+	    entry.itemB.dispose();
+	};
+	var update = function(items) {
+	    var next = {};
+	    var nodes = _.compact(_.map(items || [], function(item) {
+		var key = String(keyFn(item));
+		if (next[key]) return null;
+		var entry = entries[key];
+		if (entry) {
+		    if (entry.itemB.value !== item) entry.itemB._change(item);
+		} else {
+		    var itemB = new Behavior(item);
+		    var graph = subgraph(function() { return renderItem(itemB, key); });
+		    entry = { itemB: itemB, graph: graph, node: Reactive.$(graph.value)[0] };
+		}
+		next[key] = entry;
+		return entry.node;
+	    }));
+	    _.each(entries, function(entry, key) {
+		if (next[key]) return;
+		if (entry.node.parentNode === parent) parent.removeChild(entry.node);
+		discard(entry);
+	    });
+	    _.each(nodes, function(node, i) {
+		var current = parent.childNodes[i];
+		if (current !== node) parent.insertBefore(node, current || null);
+	    });
+	    entries = next;
+	};
+	var subscription = domSinkB(parent, "content", arrayB, update, options);
+	return {
+	    dispose: function() {
+		subscription.dispose();
+		_.each(entries, discard);
+		entries = {};
+	    }
+	};
+    }
+
+    /*
+      Templates are the other common way of getting things on the
+      page. A renderer knows how to find a template's source and how
+      to render some source with a view; Reactive.renderer is the one
+      used unless you say otherwise. Either of these will do, or
+      anything else with the same two methods.
+    */
+
+    Reactive.renderers = {
+	mustache: {
+	    source: function(template) { return template; },
+	    render: function(source, view) { return root.Mustache.to_html(source, view); }
+	},
+
+	icanhaz: {
+	    source: function(name) { return root.ich.templates[name]; },
+	    render: function(source, view) {
+		return root.Mustache.to_html(source, view, root.ich.partials);
+	    }
+	}
+    };
+    Reactive.renderer = Reactive.renderers.mustache;
+
+    var escapeRegExp = function(string) {
+	return string.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, "\\$&");
+    }
+
+    /*
+      bindTemplateB renders a template into an element once, with a
+      view in which any of the values may be behaviors. After that,
+      only the parts that mention a behavior are redrawn, and only
+      when it changes: a {{name}} (or {{{name}}}) becomes a <span>
+      whose contents follow the behavior, and a {{#name}}...{{/name}}
+      section gets re-rendered on its own whenever the behavior, or
+      any other behavior mentioned inside the section, changes. That
+      does mean behaviors can only be used in element content, not
+      inside attributes. A section is marked by a pair of comments
+      rather than an element of its own, since it may well sit in a
+      <ul> or a <table>, where a wrapper would not be allowed, and
+      re-rendering it replaces whatever is between the two.
+    */
+
+    var findComment = function(node, text) {
+	for (var child = node.firstChild; child; child = child.nextSibling) {
+	    if (child.nodeType === 8 && child.nodeValue === text) return child;
+	    var found = child.nodeType === 1 && findComment(child, text);
+	    if (found) return found;
+	}
+	return null;
+    }
+
+    var bindTemplateB = function(elem, template, view, renderer, options) {
+	renderer = renderer || Reactive.renderer;
+	var $elem = Reactive.$(elem);
+	var source = renderer.source(template);
+	var keys = _.keys(view);
+	var reactive = _.select(keys, function(key) { return view[key] instanceof Behavior; });
+	var statics = {};
+	_.each(_.difference(keys, reactive), function(key) { statics[key] = view[key]; });
+	var sections = [];
+
+	_.each(reactive, function(key) {
+	    var name = escapeRegExp(key);
+	    var pattern = new RegExp("\\{\\{[#^]\\s*" + name + "\\s*\\}\\}[\\s\\S]*?\\{\\{\\/\\s*" + name + "\\s*\\}\\}", "g");
+	    source = source.replace(pattern, function(section) {
+		var i = sections.push(section) - 1;
+		return '<!--reactive-section ' + i + '--><!--/reactive-section ' + i + '-->';
+	    });
+	});
+	_.each(reactive, function(key) {
+	    var pattern = new RegExp("\\{\\{(\\{|&)?\\s*" + escapeRegExp(key) + "\\s*\\}?\\}\\}", "g");
+	    source = source.replace(pattern, function(variable, raw) {
+		return '<span data-reactive-var="' + key + '"' + (raw ? ' data-reactive-raw="true"' : '') + '></span>';
+	    });
+	});
+	$elem.html(renderer.render(source, statics));
+
+	return subgraph(function() {
+	    _.each(reactive, function(key) {
+		var $vars = $elem.find('[data-reactive-var="' + key + '"]');
+		if (!$vars.length) return;
+		domSinkB($vars, "content", view[key], function(value) {
+		    $vars.each(function() {
+			var $var = Reactive.$(this);
+			if ($var.attr('data-reactive-raw')) $var.html(value);
+			else $var.text(value == null ? "" : String(value));
+		    });
+		}, options);
+	    });
+	    _.each(sections, function(section, i) {
+		var mentioned = _.select(reactive, function(key) {
+		    return new RegExp("\\{\\{[#^/{&]?\\s*" + escapeRegExp(key) + "\\s*\\}").test(section);
+		});
+		var start = findComment($elem[0], "reactive-section " + i);
+		var end = findComment($elem[0], "/reactive-section " + i);
+		if (!start || !end) return;
+		var valuesB = combineB(_.map(mentioned, function(key) { return view[key]; }));
+		domSinkB(start, "content", valuesB, function(values) {
+		    var sectionView = _.extend({}, statics);
+		    _.each(mentioned, function(key, j) { sectionView[key] = values[j]; });
+		    while (start.nextSibling && start.nextSibling !== end) {
+			start.parentNode.removeChild(start.nextSibling);
+		    }
+		    Reactive.$(end).before(renderer.render(section, sectionView));
+		}, options);
+	    });
+	});
+    }
+
+    /*
+      Going the other way, user input has to get into the graph
+      somehow. extractEventE is a stream of the DOM events of some
+      type on an element; the jQuery handler is only bound while
+      somebody is listening.
+    */
+
+    var extractEventE = function(elem, eventName) {
+	var stream = new EventStream();
+	stream._connect(function() {
+	    var $elem = Reactive.$(elem);
+	    var handler = function(event) {
+		stream._occur(event);
+	    };
+	    $elem.bind(eventName, handler);
+	    return function() { $elem.unbind(eventName, handler); };
+	});
+	return stream;
+    }
+
+    /*
+      The value of a form element depends on what kind it is: a
+      checkbox or radio button is checked or not, a multiple select
+      has an array of values, and everything else has a string. Any
+      input that is typed into (text, email, number, search and the
+      rest) changes as you type, not just when it loses focus.
+    */
+
+    var isCheckable = function($elem) {
+	return $elem.is(':checkbox') || $elem.is(':radio');
+    }
+
+    var readValue = function(elem) {
+	var $elem = Reactive.$(elem);
+	return isCheckable($elem) ? !!$elem[0].checked : $elem.val();
+    }
+
+    var writeValue = function(elem, value) {
+	var $elem = Reactive.$(elem);
+	if (isCheckable($elem)) $elem[0].checked = !!value;
+	else $elem.val(value);
+    }
+
+    var valueEvents = function(elem) {
+	var $elem = Reactive.$(elem);
+	var typed = $elem.is('textarea') || ($elem.is('input') && !isCheckable($elem));
+	return typed ? "change keyup input" : "change";
+    }
+
+    var extractValueB = function(elem) {
+	var value = lazyStepperB(readValue(elem), mapE(function() {
+	    return readValue(elem);
+	}, extractEventE(elem, valueEvents(elem))));
+	value._refresh = function() {
+	    value._value = readValue(elem);
+	};
+	return value;
+    }
+
+    /*
+      bindValueB keeps an input and a behavior in step both ways. The
+      input shows whatever the behavior changes to, and the result is
+      a behavior holding whichever came last, the program's value or
+      the user's. Writing to an input with jQuery does not fire its
+      change event, and values the input already has are not written
+      at all, so there is no feedback (and no jumping cursor).
+    */
+
+    var bindValueB = function(elem, behavior) {
+	var write = function(value) {
+	    if (!_.isEqual(readValue(elem), value)) writeValue(elem, value);
+	};
+	write(behavior.sample());
+	var userE = mapE(function() {
+	    return readValue(elem);
+	}, extractEventE(elem, valueEvents(elem)));
+	var synced = stepperB(behavior.sample(), mergeE(changesE(behavior), userE));
+	synced._connect(function() {
+	    return behavior._observe(write).dispose;
+	});
+	return synced;
+    }
+
+    /*
+      Since we are sitting on Backbone anyhow, its models and
+      collections ought to plug right in. backboneEventE is a stream
+      of some event on any Backbone.Events object, occurring with the
+      first argument of the trigger, and the collection events get
+      their own names.
+    */
+
+    var backboneEventE = function(object, eventName) {
+	var stream = new EventStream();
+	stream._connect(function() {
+	    var handler = function(payload) {
+		stream._occur(payload);
+	    };
+	    object.bind(eventName, handler);
+	    return function() { object.unbind(eventName, handler); };
+	});
+	return stream;
+    }
+
+    var addE = function(collection) { return backboneEventE(collection, "add"); };
+    var removeE = function(collection) { return backboneEventE(collection, "remove"); };
+    var resetE = function(collection) { return backboneEventE(collection, "reset"); };
+
+    /*
+      modelAttrB is an attribute of a model as a behavior, and
+      collectionB is the array of models in a collection, following
+      adds, removes and resets. Both catch up with the model or
+      collection if they reconnect after a while.
+    */
+
+    var modelAttrB = function(model, attr) {
+	var behavior = new Behavior(model.get(attr));
+	behavior._connect(function() {
+	    var handler = function(model, value) {
+		behavior._change(value);
+	    };
+	    model.bind("change:" + attr, handler);
+	    return function() { model.unbind("change:" + attr, handler); };
+	});
+	behavior._refresh = function() {
+	    behavior._value = model.get(attr);
+	};
+	return behavior;
+    }
+
+    var collectionB = function(collection) {
+	var behavior = new Behavior(_.clone(collection.models));
+	behavior._connect(function() {
+	    var handler = function() {
+		behavior._change(_.clone(collection.models));
+	    };
+	    collection.bind("add", handler);
+	    collection.bind("remove", handler);
+	    collection.bind("reset", handler);
+	    return function() {
+		collection.unbind("add", handler);
+		collection.unbind("remove", handler);
+		collection.unbind("reset", handler);
+	    };
+	});
+	behavior._refresh = function() {
+	    if (!equality.shallow(behavior._value, collection.models)) {
+		behavior._value = _.clone(collection.models);
+	    }
+	};
+	return behavior;
+    }
+
+    /*
+      And the other direction: syncToModel writes a behavior into a
+      model attribute as it changes, starting with its current value.
+      Values the model already has are not set again, so a model
+      attribute synced from a behavior derived from modelAttrB on the
+      same attribute settles down instead of looping.
+    */
+
+    var syncToModel = function(behavior, model, attr) {
+	return sinkB(behavior, function(value) {
+	    if (_.isEqual(model.get(attr), value)) return;
+	    var attrs = {};
+	    attrs[attr] = value;
+	    model.set(attrs);
+	});
+    }
+
+    /*
+      Everything so far has to be built from things that already
+      exist, so nothing can depend on itself: stepperB wants its
+      stream up front. receiverE is a stream to be named now and
+      wired to its real source later, with receiver.wire(stream),
+      which lets a loop be closed. fixB is the common case, a
+      behavior defined by a stream of new values computed from the
+      behavior itself, e.g. a counter is
+
+        fixB(0, function(countB) {
+          return mapE(function(n) { return n + 1; }, snapshotE(countB, clicksE));
+        })
+
+      Not every loop makes sense, though. If a change goes all the way
+      around without waiting for anything, it goes around forever, so
+      wire() throws unless the loop has something delayed in it: a
+      snapshotE, which only reads the behavior (and so sees the value
+      from before), or a delayE or debounceE. Reference counting
+      cannot collect a loop either, so dispose of it when done, or
+      build it in a subgraph.
+    */
+
+    var reaches = function(from, to, instantOnly) {
+	var seen = [];
+	var visit = function(node) {
+	    if (node === to) return true;
+	    if (_.include(seen, node)) return false;
+	    seen.push(node);
+	    return _.any(node._sources, function(source) {
+		return !(instantOnly && _.include(node._delayedSources, source)) && visit(source);
+	    });
+	};
+	return visit(from);
+    }
+
+    var receiverE = function() {
+	var receiver = new EventStream();
+	var wired = false;
+	receiver.wire = function(stream) {
+	    if (wired) throw new Error("Reactive: receiverE is already wired");
+	    if (reaches(stream, receiver, true)) {
+		throw new Error("Reactive: instantaneous cycle; put a snapshotE, delayE or debounceE in the loop");
+	    }
+	    wired = true;
+	    if (reaches(stream, receiver)) {
+		// Closing the loop; rank by everything else in it.
+		receiver._sources.push(stream);
+		receiver._loopSources.push(stream);
+	    }
+	    receiver._connect(function() {
+		return receiver._from(stream, function(event) {
+		    receiver._occur(event);
+		}).dispose;
+	    });
+	    return receiver;
+	};
+	return receiver;
+    }
+
+    var fixB = function(initialValue, f) {
+	var feedbackE = receiverE();
+	var fixed = stepperB(initialValue, feedbackE);
+	feedbackE.wire(f(fixed));
+	return fixed;
+    }
+
+    /*
+      Tearing down a page section means disposing everything that was
+      built for it. Rather than keep track by hand, build it inside
+      subgraph: every node and subscription created while `build` runs
+      is remembered, and disposing the subgraph disposes them all.
+      Subgraphs nest, so disposing an outer one takes the inner ones
+      along.
     */
-});
+
+    var subgraph = function(build) {
+	var members = [];
+	var graph = {
+	    dispose: function() {
+		_.each(members, function(member) { member.dispose(); });
+		members = [];
+	    }
+	};
+	if (currentSubgraph) currentSubgraph.push(graph);
+	var previous = currentSubgraph;
+	currentSubgraph = members;
+	try {
+	    graph.value = build();
+	} finally {
+	    currentSubgraph = previous;
+	}
+	return graph;
+    }
+
+    /*
+      If you are a clever imperative programmer you will have noticed that
+      I could also have implemented _observe and _changes with mapB. There
+      are a lot of pieces of this framework that suffice to build
+      the rest out.
+
+      Another thing to note is that the framework does little to
+      minimize the amount of event passing that happens. Behaviors
+      no longer push the same value over and over, and you've got
+      filterE and skipDuplicatesE for streams, but beyond that it
+      can take some ingenuity. I'm sure there are solutions in the
+      literature which I have simply neglected in this quick hack.
+     */
+
+    _.extend(Reactive, {
+	realClock: realClock,
+	VirtualClock: VirtualClock,
+	transaction: transaction,
+	EventStream: EventStream,
+	Behavior: Behavior,
+	timerE: timerE,
+	stepperB: stepperB,
+	timeB: timeB,
+	mapE: mapE,
+	mapB: mapB,
+	skipDuplicatesB: skipDuplicatesB,
+	skipDuplicatesE: skipDuplicatesE,
+	changesE: changesE,
+	mapB_2: mapB_2,
+	collectE: collectE,
+	scanE: scanE,
+	accumB: accumB,
+	filterE: filterE,
+	snapshotE: snapshotE,
+	switcherB: switcherB,
+	switchE: switchE,
+	mergeAllE: mergeAllE,
+	flatMapE: flatMapE,
+	concatMapE: concatMapE,
+	takeE: takeE,
+	takeWhileE: takeWhileE,
+	takeUntilE: takeUntilE,
+	skipE: skipE,
+	concatE: concatE,
+	liftB: liftB,
+	combineB: combineB,
+	mergeE: mergeE,
+	zipE: zipE,
+	combineLatestE: combineLatestE,
+	delayE: delayE,
+	throttleE: throttleE,
+	debounceE: debounceE,
+	calmE: calmE,
+	delayB: delayB,
+	throttleB: throttleB,
+	debounceB: debounceB,
+	calmB: calmB,
+	animationFrameE: animationFrameE,
+	continuousB: continuousB,
+	integralB: integralB,
+	derivativeB: derivativeB,
+	tweenB: tweenB,
+	fromPromiseE: fromPromiseE,
+	awaitB: awaitB,
+	mapAsyncE: mapAsyncE,
+	catchE: catchE,
+	onErrorB: onErrorB,
+	retryE: retryE,
+	recordE: recordE,
+	bindB: bindB,
+	bindTextB: bindTextB,
+	bindAttrB: bindAttrB,
+	bindClassB: bindClassB,
+	bindStyleB: bindStyleB,
+	bindPropB: bindPropB,
+	bindVisibleB: bindVisibleB,
+	bindListB: bindListB,
+	bindTemplateB: bindTemplateB,
+	extractEventE: extractEventE,
+	extractValueB: extractValueB,
+	bindValueB: bindValueB,
+	backboneEventE: backboneEventE,
+	addE: addE,
+	removeE: removeE,
+	resetE: resetE,
+	modelAttrB: modelAttrB,
+	collectionB: collectionB,
+	syncToModel: syncToModel,
+	receiverE: receiverE,
+	fixB: fixB,
+	subgraph: subgraph
+    });
+
+    return Reactive;
+}));
@@ -0,0 +1,60 @@
+// Backbone models and collections as streams and behaviors.
+
+var test = require('node:test');
+var assert = require('assert');
+var Backbone = require('backbone');
+var helpers = require('./helpers.js');
+var R = helpers.Reactive;
+
+test('backboneEventE occurs with the first argument of each trigger, while listened to', function() {
+    var object = Object.assign({}, Backbone.Events), seen = [];
+    var subscription = R.backboneEventE(object, 'ping')._listen(function(event) { seen.push(event); });
+    object.trigger('ping', 1, 'ignored');
+    subscription.dispose();
+    object.trigger('ping', 2);
+    assert.deepEqual(seen, [1]);
+});
+
+test('addE, removeE and resetE follow a collection', function() {
+    var collection = new Backbone.Collection(), seen = [];
+    R.addE(collection)._listen(function(model) { seen.push('add ' + model.id); });
+    R.removeE(collection)._listen(function(model) { seen.push('remove ' + model.id); });
+    R.resetE(collection)._listen(function() { seen.push('reset'); });
+    collection.add({ id: 1 });
+    collection.remove(1);
+    collection.reset([{ id: 2 }]);
+    assert.deepEqual(seen, ['add 1', 'remove 1', 'reset']);
+});
+
+test('modelAttrB follows an attribute, and catches up when sampled unobserved', function() {
+    var model = new Backbone.Model({ name: 'ann' });
+    var name = R.modelAttrB(model, 'name'), seen = [];
+    var subscription = name._observe(function(value) { seen.push(value); });
+    model.set({ name: 'bob' });
+    subscription.dispose();
+    model.set({ name: 'cy' });
+    assert.deepEqual(seen, ['bob']);
+    assert.equal(name.value, 'cy');
+});
+
+test('collectionB is the array of models', function() {
+    var collection = new Backbone.Collection([{ id: 1 }]);
+    var models = R.collectionB(collection), seen = [];
+    models._observe(function(value) { seen.push(value.map(function(model) { return model.id; })); });
+    collection.add({ id: 2 });
+    collection.remove(1);
+    collection.reset([{ id: 3 }, { id: 4 }]);
+    assert.deepEqual(seen, [[1, 2], [2], [3, 4]]);
+});
+
+test('syncToModel writes a behavior into a model attribute', function() {
+    var model = new Backbone.Model({ n: 0 }), changes = 0;
+    model.bind('change:n', function() { changes++; });
+    var stream = new R.EventStream();
+    R.syncToModel(R.stepperB(1, stream), model, 'n');
+    assert.equal(model.get('n'), 1);
+    stream._occur(2);
+    stream._occur(2);
+    assert.equal(model.get('n'), 2);
+    assert.equal(changes, 2);
+});
@@ -0,0 +1,259 @@
+// The primitives: event streams, behaviors and the combinators between them.
+
+var test = require('node:test');
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var R = helpers.Reactive;
+
+var collect = function(stream) {
+    var seen = [];
+    stream._listen(function(event) { seen.push(event); });
+    return seen;
+};
+
+var watch = function(behavior) {
+    var seen = [];
+    behavior._observe(function(value) { seen.push(value); });
+    return seen;
+};
+
+var inc = function(n) { return n + 1; };
+
+test('an EventStream hands each occurrence to its listeners, in order', function() {
+    var stream = new R.EventStream();
+    var first = collect(stream), second = collect(stream);
+    stream._occur(1);
+    stream._occur(2);
+    assert.deepEqual(first, [1, 2]);
+    assert.deepEqual(second, [1, 2]);
+});
+
+test('unlistening stops delivery', function() {
+    var stream = new R.EventStream(), seen = [];
+    var listener = function(event) { seen.push(event); };
+    stream._listen(listener);
+    stream._occur(1);
+    stream._unlisten(listener);
+    stream._occur(2);
+    assert.deepEqual(seen, [1]);
+});
+
+test('a Behavior always has a value and tells its observers about changes', function() {
+    var behavior = new R.Behavior(1);
+    var seen = watch(behavior);
+    assert.equal(behavior.value, 1);
+    behavior._change(2);
+    behavior._change(2);
+    assert.equal(behavior.sample(), 2);
+    assert.deepEqual(seen, [2]);
+});
+
+test('stepperB holds the latest event', function() {
+    var stream = new R.EventStream();
+    var stepper = R.stepperB('init', stream);
+    var seen = watch(stepper);
+    stream._occur('a');
+    stream._occur('b');
+    assert.equal(stepper.value, 'b');
+    assert.deepEqual(seen, ['a', 'b']);
+});
+
+test('mapE maps every occurrence', function() {
+    var stream = new R.EventStream();
+    var seen = collect(R.mapE(inc, stream));
+    stream._occur(1);
+    stream._occur(5);
+    assert.deepEqual(seen, [2, 6]);
+});
+
+test('mapB, mapB_2 and stepperB over mapE agree', function() {
+    var stream = new R.EventStream();
+    var source = R.stepperB(0, stream);
+    var mapped = R.mapB(inc, source);
+    var mapped2 = R.mapB_2(inc, source);
+    var stepped = R.stepperB(inc(source.value), R.mapE(inc, R.changesE(source)));
+    var seen = [watch(mapped), watch(mapped2), watch(stepped)];
+    [1, 2, 3].forEach(function(n) { stream._occur(n); });
+    assert.deepEqual(seen[0], [2, 3, 4]);
+    assert.deepEqual(seen[1], seen[0]);
+    assert.deepEqual(seen[2], seen[0]);
+    assert.equal(mapped.value, 4);
+    assert.equal(mapped2.value, 4);
+});
+
+test('changesE occurs with each new value of a behavior', function() {
+    var stream = new R.EventStream();
+    var seen = collect(R.changesE(R.stepperB(0, stream)));
+    stream._occur(1);
+    stream._occur(1);
+    stream._occur(2);
+    assert.deepEqual(seen, [1, 2]);
+});
+
+test('filterE only lets through what passes', function() {
+    var stream = new R.EventStream();
+    var seen = collect(R.filterE(function(n) { return n % 2 === 0; }, stream));
+    [1, 2, 3, 4].forEach(function(n) { stream._occur(n); });
+    assert.deepEqual(seen, [2, 4]);
+});
+
+test('snapshotE reads the settled value of the behavior', function() {
+    var stream = new R.EventStream();
+    var doubled = R.mapB(function(n) { return n * 2; }, R.stepperB(0, stream));
+    var seen = collect(R.snapshotE(doubled, stream));
+    stream._occur(1);
+    stream._occur(4);
+    assert.deepEqual(seen, [2, 8]);
+});
+
+test('switcherB follows whichever behavior came last', function() {
+    var a = new R.EventStream(), b = new R.EventStream(), switches = new R.EventStream();
+    var aB = R.stepperB('a0', a), bB = R.stepperB('b0', b);
+    var switched = R.switcherB(aB, switches);
+    var seen = watch(switched);
+    a._occur('a1');
+    switches._occur(bB);
+    a._occur('a2');
+    b._occur('b1');
+    assert.deepEqual(seen, ['a1', 'b0', 'b1']);
+});
+
+test('switcherB lets go of the behaviors it switched away from', function() {
+    var stream = new R.EventStream(), switches = new R.EventStream();
+    var base = R.stepperB(0, stream);
+    var switched = R.switcherB(base, switches);
+    watch(switched);
+    for (var i = 0; i < 50; i++) switches._occur(R.mapB(inc, base));
+    assert.equal(switched._sources.length, 2);
+    assert.equal(base._dependents.length, 1);
+});
+
+test('liftB sees all of its inputs settled, once per transaction', function() {
+    var stream = new R.EventStream();
+    var n = R.stepperB(1, stream);
+    var sum = R.liftB(function(a, b) { return a + '+' + b; }, R.mapB(inc, n), R.mapB(inc, R.mapB(inc, n)));
+    var seen = watch(sum);
+    stream._occur(2);
+    assert.deepEqual(seen, ['3+4']);
+});
+
+test('transaction fires each dependent once with the final state', function() {
+    var a = new R.EventStream(), b = new R.EventStream();
+    var both = R.combineB([R.stepperB(0, a), R.stepperB(0, b)]);
+    var seen = watch(both);
+    R.transaction(function() {
+	a._occur(1);
+	b._occur(2);
+	a._occur(3);
+    });
+    assert.deepEqual(seen, [[3, 2]]);
+});
+
+test('unobserved derived nodes hold on to nothing', function() {
+    var source = new R.EventStream();
+    for (var i = 0; i < 100; i++) R.filterE(Boolean, R.mapE(inc, source));
+    assert.equal(source._dependents.length, 0);
+    var subscription = R.mapE(inc, source)._listen(function() { });
+    assert.equal(source._dependents.length, 1);
+    subscription.dispose();
+    assert.equal(source._dependents.length, 0);
+});
+
+test('a stepper nobody observes still steps, until it is disposed', function() {
+    var stream = new R.EventStream();
+    var stepper = R.stepperB(0, stream);
+    stream._occur(5);
+    assert.equal(stepper.value, 5);
+    stepper.dispose();
+    assert.equal(stream._dependents.length, 0);
+    stream._occur(6);
+    assert.equal(stepper.value, 5);
+});
+
+test('an accumB switched away from keeps counting', function() {
+    var clicks = new R.EventStream(), switches = new R.EventStream();
+    var count = R.accumB(0, R.mapE(function() { return inc; }, clicks));
+    var other = new R.Behavior('other');
+    var shown = R.switcherB(count, switches);
+    var seen = watch(shown);
+    clicks._occur();
+    clicks._occur();
+    switches._occur(other);
+    clicks._occur();
+    clicks._occur();
+    clicks._occur();
+    switches._occur(count);
+    assert.equal(shown.value, 5);
+    assert.deepEqual(seen, [1, 2, 'other', 5]);
+});
+
+test('lazy behaviors compute when read, and .value reads them', function() {
+    var calls = 0;
+    var stream = new R.EventStream();
+    var mapped = R.mapB(function(n) { calls++; return n * 10; }, R.stepperB(1, stream));
+    assert.equal(calls, 0);
+    assert.equal(mapped.value, 10);
+    assert.equal(mapped.sample(), 10);
+    assert.equal(calls, 1);
+});
+
+test('fixB closes a loop through snapshotE, and refuses an instantaneous one', function() {
+    var clicks = new R.EventStream();
+    var count = R.fixB(0, function(countB) {
+	return R.mapE(inc, R.snapshotE(countB, clicks));
+    });
+    var seen = watch(count);
+    clicks._occur();
+    clicks._occur();
+    assert.deepEqual(seen, [1, 2]);
+    assert.throws(function() {
+	R.fixB(0, function(selfB) { return R.mapE(inc, R.changesE(selfB)); });
+    }, /instantaneous cycle/);
+});
+
+test('behaviors skip changes to an equal value, by the equality they are given', function(t) {
+    var identity = new R.Behavior(NaN), shallow = new R.Behavior({ x: 1 }, 'shallow');
+    var deep = new R.Behavior({ x: [1] }, R.equality.deep);
+    var seen = [watch(identity), watch(shallow), watch(deep)];
+    identity._change(NaN);
+    shallow._change({ x: 1 });
+    shallow._change({ x: 2 });
+    deep._change({ x: [1] });
+    deep._change({ x: [2] });
+    assert.deepEqual(seen, [[], [{ x: 2 }], [{ x: [2] }]]);
+
+    var previous = R.equals;
+    R.equals = R.equality.shallow;
+    t.after(function() { R.equals = previous; });
+    var plain = new R.Behavior([1, 2]), changes = watch(plain);
+    plain._change([1, 2]);
+    assert.deepEqual(changes, []);
+});
+
+test('skipDuplicatesB and skipDuplicatesE drop values equal to the last one', function() {
+    var stream = new R.EventStream();
+    var deduped = R.skipDuplicatesB(R.stepperB({ n: 0 }, stream), 'deep');
+    var changes = watch(deduped);
+    var events = collect(R.skipDuplicatesE(stream, function(a, b) { return a.n === b.n; }));
+    [{ n: 1 }, { n: 1 }, { n: 2 }, { n: 1 }].forEach(function(event) { stream._occur(event); });
+    assert.deepEqual(changes, [{ n: 1 }, { n: 2 }, { n: 1 }]);
+    assert.deepEqual(events, [{ n: 1 }, { n: 2 }, { n: 1 }]);
+});
+
+test('transactions nest, and what was changed before a throw still propagates', function() {
+    var a = new R.EventStream(), b = new R.EventStream();
+    var both = R.combineB([R.stepperB(0, a), R.stepperB(0, b)]);
+    var seen = watch(both);
+    R.transaction(function() {
+	a._occur(1);
+	R.transaction(function() { b._occur(1); });
+	assert.deepEqual(seen, []);
+    });
+    assert.throws(function() {
+	R.transaction(function() {
+	    a._occur(2);
+	    throw new Error('halfway');
+	});
+    }, /halfway/);
+    assert.deepEqual(seen, [[1, 1], [2, 1]]);
+});
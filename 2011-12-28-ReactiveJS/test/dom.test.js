@@ -0,0 +1,221 @@
+// The DOM sinks, on a jsdom page.
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var helpers = require('./helpers.js');
+var R = helpers.Reactive;
+
+var mustache = fs.readFileSync(path.join(__dirname, '..', 'mustache.js'), 'utf8');
+
+var setup = function(t, body) {
+    var clock = helpers.virtualTime(t);
+    var window = helpers.page(t, body);
+    return { clock: clock, window: window, $: window.jQuery };
+};
+
+/* Reactive.renderers.mustache looks for Mustache on the global object, which is not the page here. */
+
+var mustacheOn = function(window) {
+    window.eval(mustache);
+    return {
+	source: function(template) { return template; },
+	render: function(source, view) { return window.Mustache.to_html(source, view); }
+    };
+};
+
+test('bindB waits for the next frame, and writes only the last value', function(t) {
+    var page = setup(t, '<div id="out"></div>');
+    var stream = new R.EventStream();
+    R.bindB('#out', R.stepperB('', stream));
+    stream._occur('<b>one</b>');
+    stream._occur('<b>two</b>');
+    assert.equal(page.$('#out').html(), '');
+    page.clock.advance(page.clock.frame);
+    assert.equal(page.$('#out').html(), '<b>two</b>');
+});
+
+test('a sink with {sync: true} writes straight away', function(t) {
+    var page = setup(t, '<div id="out"></div>');
+    var stream = new R.EventStream();
+    R.bindB('#out', R.stepperB('', stream), { sync: true });
+    stream._occur('now');
+    assert.equal(page.$('#out').html(), 'now');
+});
+
+test('a disposed sink drops the writes it had queued', function(t) {
+    var page = setup(t, '<div id="out">before</div>');
+    var stream = new R.EventStream();
+    var subscription = R.bindTextB('#out', R.stepperB('before', stream));
+    stream._occur('after');
+    subscription.dispose();
+    page.clock.advance(page.clock.frame);
+    assert.equal(page.$('#out').text(), 'before');
+});
+
+test('the other sinks each write one thing', function(t) {
+    var page = setup(t, '<input id="field"><p id="para">x</p>');
+    var stream = new R.EventStream();
+    var on = R.stepperB(false, stream);
+    R.bindTextB('#para', R.mapB(function(b) { return b ? '<on>' : 'off'; }, on));
+    R.bindAttrB('#field', 'placeholder', R.mapB(function(b) { return b && 'type here'; }, on));
+    R.bindClassB('#para', 'lit', on);
+    R.bindStyleB('#para', 'color', R.mapB(function(b) { return b ? 'red' : null; }, on));
+    R.bindPropB('#field', 'disabled', on);
+    R.bindVisibleB('#para', R.mapB(function(b) { return !b; }, on));
+
+    assert.equal(page.$('#para').text(), 'off');
+    assert.equal(page.$('#field')[0].hasAttribute('placeholder'), false);
+    assert.equal(page.$('#field')[0].disabled, false);
+    assert.equal(page.$('#para').css('display'), 'block');
+
+    stream._occur(true);
+    page.clock.advance(page.clock.frame);
+    assert.equal(page.$('#para').text(), '<on>');
+    assert.equal(page.$('#para').children().length, 0);
+    assert.equal(page.$('#field').attr('placeholder'), 'type here');
+    assert.ok(page.$('#para').hasClass('lit'));
+    assert.equal(page.$('#para')[0].style.color, 'red');
+    assert.equal(page.$('#field')[0].disabled, true);
+    assert.equal(page.$('#para').css('display'), 'none');
+});
+
+test('bindListB keeps the elements of items that stay', function(t) {
+    var page = setup(t, '<ul id="list"></ul>');
+    var stream = new R.EventStream();
+    var rendered = [];
+    var items = R.stepperB([{ id: 1, name: 'one' }, { id: 2, name: 'two' }], stream);
+    var list = R.bindListB('#list', items, function(item) { return item.id; }, function(itemB, key) {
+	rendered.push(key);
+	var li = page.$('<li>');
+	R.bindTextB(li, R.mapB(function(item) { return item.name; }, itemB));
+	return li;
+    });
+    var two = page.$('#list li')[1];
+    stream._occur([{ id: 2, name: 'TWO' }, { id: 3, name: 'three' }]);
+    page.clock.advance(page.clock.frame);
+    assert.deepEqual(page.$('#list li').map(function() { return page.$(this).text(); }).get(), ['TWO', 'three']);
+    assert.equal(page.$('#list li')[0], two);
+    assert.deepEqual(rendered, ['1', '2', '3']);
+
+    list.dispose();
+    stream._occur([{ id: 4, name: 'four' }]);
+    page.clock.advance(page.clock.frame);
+    assert.deepEqual(rendered, ['1', '2', '3']);
+    assert.equal(items._subscriptions.length, 0);
+});
+
+test('bindTemplateB redraws only the parts that mention a behavior', function(t) {
+    var page = setup(t, '<div id="out"></div>');
+    var renderer = mustacheOn(page.window);
+    var stream = new R.EventStream();
+    var name = R.stepperB('<i>ann</i>', stream);
+    R.bindTemplateB('#out', '<h1>{{title}}</h1><p>{{name}}</p><p>{{{name}}}</p>', { title: 'Hi', name: name }, renderer);
+    var h1 = page.$('#out h1')[0];
+    assert.equal(page.$('#out p').first().text(), '<i>ann</i>');
+    assert.equal(page.$('#out p i').text(), 'ann');
+    stream._occur('<i>bob</i>');
+    page.clock.advance(page.clock.frame);
+    assert.equal(page.$('#out p').first().text(), '<i>bob</i>');
+    assert.equal(page.$('#out p i').text(), 'bob');
+    assert.equal(page.$('#out h1')[0], h1);
+});
+
+test('bindTemplateB sections work where a wrapper element would not', function(t) {
+    var page = setup(t, '<table id="table"></table><select id="select"></select>');
+    var renderer = mustacheOn(page.window);
+    var stream = new R.EventStream();
+    var rows = R.stepperB([{ n: 1 }, { n: 2 }], stream);
+    R.bindTemplateB('#table', '<tbody><tr><th>n</th></tr>{{#rows}}<tr><td>{{n}}</td></tr>{{/rows}}</tbody>', { rows: rows }, renderer);
+    R.bindTemplateB('#select', '{{#rows}}<option>{{n}}</option>{{/rows}}', { rows: rows }, renderer);
+    page.clock.advance(page.clock.frame);
+    assert.deepEqual(page.$('#table td').map(function() { return page.$(this).text(); }).get(), ['1', '2']);
+    assert.equal(page.$('#select option').length, 2);
+
+    stream._occur([{ n: 3 }]);
+    page.clock.advance(page.clock.frame);
+    assert.deepEqual(page.$('#table td').map(function() { return page.$(this).text(); }).get(), ['3']);
+    assert.equal(page.$('#table th').length, 1);
+    assert.deepEqual(page.$('#select option').map(function() { return page.$(this).text(); }).get(), ['3']);
+    assert.equal(page.$('#table span, #select span').length, 0);
+});
+
+var typeInto = function(page, selector, value) {
+    var input = page.$(selector)[0];
+    input.value = value;
+    input.dispatchEvent(new page.window.Event('input'));
+};
+
+test('extractEventE is a stream of DOM events, bound only while listened to', function(t) {
+    var page = setup(t, '<button id="go"></button>');
+    var clicks = R.extractEventE('#go', 'click'), seen = [];
+    var subscription = clicks._listen(function(event) { seen.push(event.type); });
+    page.$('#go').click();
+    subscription.dispose();
+    page.$('#go').click();
+    assert.deepEqual(seen, ['click']);
+});
+
+test('extractValueB follows any kind of text field as it is typed into', function(t) {
+    var page = setup(t, ['text', 'email', 'search', 'url', 'tel', 'number'].map(function(type) {
+	return '<input id="' + type + '" type="' + type + '">';
+    }).join('') + '<textarea id="area"></textarea>');
+    ['text', 'email', 'search', 'url', 'tel', 'number', 'area'].forEach(function(id) {
+	var value = R.extractValueB('#' + id), seen = [];
+	value._observe(function(v) { seen.push(v); });
+	typeInto(page, '#' + id, '42');
+	assert.deepEqual(seen, ['42'], id);
+    });
+});
+
+test('extractValueB reads checkboxes as booleans, and reads unobserved elements when sampled', function(t) {
+    var page = setup(t, '<input id="box" type="checkbox"><input id="name" value="ann">');
+    var checked = R.extractValueB('#box'), seen = [];
+    checked._observe(function(v) { seen.push(v); });
+    page.$('#box')[0].checked = true;
+    page.$('#box').trigger('change');
+    assert.deepEqual(seen, [true]);
+    var name = R.extractValueB('#name');
+    page.$('#name').val('bob');
+    assert.equal(name.value, 'bob');
+});
+
+test('bindValueB keeps an input and a behavior in step both ways', function(t) {
+    var page = setup(t, '<input id="field">');
+    var program = new R.EventStream();
+    var synced = R.bindValueB('#field', R.stepperB('start', program));
+    assert.equal(page.$('#field').val(), 'start');
+    typeInto(page, '#field', 'typed');
+    assert.equal(synced.value, 'typed');
+    program._occur('set');
+    assert.equal(page.$('#field').val(), 'set');
+    assert.equal(synced.value, 'set');
+    synced.dispose();
+    program._occur('ignored');
+    assert.equal(page.$('#field').val(), 'set');
+});
+
+test('Reactive.flushWrites writes the queue without waiting for the frame', function(t) {
+    var page = setup(t, '<div id="out"></div>');
+    var stream = new R.EventStream();
+    R.bindB('#out', R.stepperB('', stream));
+    stream._occur('now');
+    R.flushWrites();
+    assert.equal(page.$('#out').html(), 'now');
+});
+
+test('writes still get done when the clock is swapped with a frame pending', function(t) {
+    var page = setup(t, '<div id="a"></div><div id="b"></div>');
+    var stream = new R.EventStream();
+    var text = R.stepperB('', stream);
+    R.bindTextB('#a', text);
+    stream._occur('first');
+    var clock = helpers.virtualTime(t);
+    R.bindTextB('#b', text);
+    stream._occur('second');
+    clock.advance(clock.frame);
+    assert.equal(page.$('#a').text(), 'second');
+    assert.equal(page.$('#b').text(), 'second');
+    assert.equal(page.clock._timers.length, 0);
+});
@@ -0,0 +1,146 @@
+// Errors and promises.
+
+var test = require('node:test');
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var R = helpers.Reactive;
+
+var settle = function() { return new Promise(function(resolve) { setImmediate(resolve); }); };
+
+test('catchE turns a thrown error into an event', function() {
+    var stream = new R.EventStream(), seen = [];
+    var risky = R.mapE(function(n) {
+	if (n < 0) throw new Error('negative');
+	return n;
+    }, stream);
+    var subscription = R.catchE(function(error) { return error.message; }, risky)._listen(function(event) {
+	seen.push(event);
+    });
+    stream._occur(1);
+    stream._occur(-1);
+    stream._occur(2);
+    assert.deepEqual(seen, [1, 'negative', 2]);
+    subscription.dispose();
+    assert.equal(stream._dependents.length, 0);
+});
+
+test('onErrorB changes to the recovered value, and disconnects cleanly', function() {
+    var stream = new R.EventStream(), seen = [];
+    var risky = R.stepperB(0, R.mapE(function(n) {
+	if (n < 0) throw new Error('negative');
+	return n;
+    }, stream));
+    var subscription = R.onErrorB(function() { return 'oops'; }, risky)._observe(function(value) {
+	seen.push(value);
+    });
+    stream._occur(1);
+    stream._occur(-1);
+    assert.deepEqual(seen, [1, 'oops']);
+    subscription.dispose();
+    assert.equal(risky._subscriptions.length, 0);
+});
+
+test('an error nobody listens for goes to Reactive.onUnhandledError', function(t) {
+    var seen = [], previous = R.onUnhandledError;
+    R.onUnhandledError = function(error) { seen.push(error.message); };
+    t.after(function() { R.onUnhandledError = previous; });
+    var stream = new R.EventStream();
+    R.mapE(function() { throw new Error('boom'); }, stream)._listen(function() { });
+    stream._occur(1);
+    assert.deepEqual(seen, ['boom']);
+});
+
+['latest', 'queue', 'parallel'].forEach(function(policy) {
+    test('mapAsyncE (' + policy + ') delivers its results before ending', async function() {
+	var stream = new R.EventStream(), seen = [];
+	var mapped = R.mapAsyncE(function(n) { return settle().then(function() { return n * 2; }); }, stream, policy);
+	mapped._listen(function(event) { seen.push(event); });
+	mapped._onEnd(function() { seen.push('|'); });
+	stream._occur(1);
+	stream._occur(2);
+	stream._end();
+	for (var i = 0; i < 5; i++) await settle();
+	assert.deepEqual(seen, policy === 'latest' ? [4, '|'] : [2, 4, '|']);
+    });
+});
+
+test('fromPromiseE occurs once with what the promise resolves to, then ends', async function() {
+    var seen = [];
+    var stream = R.fromPromiseE(Promise.resolve(7));
+    stream._listen(function(event) { seen.push(event); });
+    stream._onEnd(function() { seen.push('|'); });
+    await settle();
+    assert.deepEqual(seen, [7, '|']);
+});
+
+test('fromPromiseE errors when the promise is rejected', async function() {
+    var seen = [];
+    var stream = R.fromPromiseE(Promise.reject(new Error('no')));
+    stream._listen(function(event) { seen.push(event); });
+    stream._onError(function(error) { seen.push(error.message); });
+    await settle();
+    assert.deepEqual(seen, ['no']);
+});
+
+test('awaitB is the state of a promise', async function() {
+    var resolved = R.awaitB(Promise.resolve('done'));
+    var rejected = R.awaitB(Promise.reject('no'));
+    assert.deepEqual(resolved.value, { status: 'pending' });
+    await settle();
+    assert.deepEqual(resolved.value, { status: 'resolved', value: 'done' });
+    assert.deepEqual(rejected.value, { status: 'rejected', error: 'no' });
+});
+
+['latest', 'queue', 'parallel'].forEach(function(policy) {
+    test('mapAsyncE (' + policy + ') raises an error when f throws or returns no promise, and carries on', async function() {
+	var stream = new R.EventStream(), seen = [];
+	var mapped = R.mapAsyncE(function(n) {
+	    if (n === 1) throw new Error('threw');
+	    if (n === 2) return 'not a promise';
+	    return Promise.resolve(n * 10);
+	}, stream, policy);
+	mapped._listen(function(event) { seen.push(event); });
+	mapped._onError(function(error) { seen.push(error.message.indexOf('promise') >= 0 ? 'no promise' : error.message); });
+	mapped._onEnd(function() { seen.push('|'); });
+	stream._occur(1);
+	stream._occur(2);
+	stream._occur(3);
+	stream._end();
+	for (var i = 0; i < 5; i++) await settle();
+	assert.deepEqual(seen, ['threw', 'no promise', 30, '|']);
+    });
+});
+
+test('mapAsyncE refuses a policy it does not know', function() {
+    assert.throws(function() {
+	R.mapAsyncE(function(n) { return Promise.resolve(n); }, new R.EventStream(), 'lastest');
+    }, /unknown mapAsyncE policy "lastest"/);
+});
+
+test('retryE makes a fresh stream after each error, up to a limit', function() {
+    var source = new R.EventStream(), made = 0, seen = [];
+    var flaky = function(failUntil) {
+	return function() {
+	    var attempt = ++made;
+	    return R.mapE(function(n) {
+		if (attempt <= failUntil) throw new Error('attempt ' + attempt);
+		return n;
+	    }, source);
+	};
+    };
+    R.retryE(2, flaky(2))._listen(function(event) { seen.push(event); });
+    source._occur('a');
+    source._occur('b');
+    source._occur('c');
+    assert.deepEqual(seen, ['c']);
+    assert.equal(made, 3);
+    assert.equal(source._dependents.length, 1);
+
+    made = 0;
+    var errors = [];
+    var gaveUp = R.retryE(1, flaky(5));
+    gaveUp._onError(function(error) { errors.push(error.message); });
+    source._occur('d');
+    source._occur('e');
+    assert.deepEqual(errors, ['attempt 2']);
+});
@@ -0,0 +1,41 @@
+// Shared setup for the tests: the library, a virtual clock, and a page to bind to.
+
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+var Reactive = require('../reactive.js');
+
+/*
+  Each test gets a fresh VirtualClock installed as Reactive.clock, and
+  gets the real one back afterwards. `at` schedules some input for a
+  given time, so that a marble diagram reads the same as the script
+  that produced it.
+*/
+
+exports.Reactive = Reactive;
+
+exports.virtualTime = function(t) {
+    var clock = new Reactive.VirtualClock(0);
+    Reactive.clock = clock;
+    t.after(function() { Reactive.clock = Reactive.realClock; });
+    clock.at = function(ms, fn) { clock.setTimeout(fn, ms - clock.now()); };
+    return clock;
+};
+
+/*
+  A jsdom page with the same jQuery the demo uses, installed as
+  Reactive.$ for the duration of the test.
+*/
+
+var jquery = fs.readFileSync(path.join(__dirname, '..', 'jquery.js'), 'utf8');
+
+exports.page = function(t, body) {
+    var dom = new JSDOM('<!doctype html><html><body>' + (body || '') + '</body></html>', { runScripts: 'outside-only' });
+    dom.window.eval(jquery);
+    Reactive.$ = dom.window.jQuery;
+    t.after(function() {
+	Reactive.$ = undefined;
+	dom.window.close();
+    });
+    return dom.window;
+};
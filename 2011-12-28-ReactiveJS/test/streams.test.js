@@ -0,0 +1,171 @@
+// Combining, folding, flattening and cutting short event streams.
+
+var test = require('node:test');
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var R = helpers.Reactive;
+
+var collect = function(stream) {
+    var seen = [];
+    stream._listen(function(event) { seen.push(event); });
+    stream._onEnd(function() { seen.push('|'); });
+    return seen;
+};
+
+test('mergeE occurs with every event of every stream, and ends when they all have', function() {
+    var a = new R.EventStream(), b = new R.EventStream();
+    var seen = collect(R.mergeE(a, b));
+    a._occur(1);
+    b._occur(2);
+    R.transaction(function() {
+	b._occur(3);
+	a._occur(4);
+    });
+    a._end();
+    b._occur(5);
+    b._end();
+    assert.deepEqual(seen, [1, 2, 3, 4, 5, '|']);
+});
+
+test('zipE pairs up the nth events, and ends once a stream has run out', function() {
+    var a = new R.EventStream(), b = new R.EventStream();
+    var seen = collect(R.zipE(a, b));
+    a._occur(1);
+    a._occur(2);
+    b._occur('x');
+    a._end();
+    b._occur('y');
+    b._occur('z');
+    assert.deepEqual(seen, [[1, 'x'], [2, 'y'], '|']);
+});
+
+test('combineLatestE waits for all, then occurs once per transaction', function() {
+    var a = new R.EventStream(), b = new R.EventStream();
+    var seen = collect(R.combineLatestE(a, b));
+    a._occur(1);
+    a._occur(2);
+    b._occur('x');
+    R.transaction(function() {
+	a._occur(3);
+	b._occur('y');
+    });
+    assert.deepEqual(seen, [[2, 'x'], [3, 'y']]);
+});
+
+test('collectE folds from a starting point, scanE from the first event', function() {
+    var stream = new R.EventStream();
+    var add = function(a, b) { return a + b; };
+    var collected = collect(R.collectE(10, add, stream));
+    var scanned = collect(R.scanE(add, stream));
+    [1, 2, 3].forEach(function(n) { stream._occur(n); });
+    assert.deepEqual(collected, [11, 13, 16]);
+    assert.deepEqual(scanned, [1, 3, 6]);
+});
+
+test('a fold counts events that happen before anybody listens', function() {
+    var stream = new R.EventStream();
+    var counted = R.collectE(0, function(n) { return n + 1; }, stream);
+    stream._occur('a');
+    stream._occur('b');
+    var seen = collect(counted);
+    stream._occur('c');
+    assert.deepEqual(seen, [3]);
+});
+
+test('accumB applies each function to its value', function() {
+    var stream = new R.EventStream();
+    var total = R.accumB(1, stream);
+    stream._occur(function(n) { return n * 5; });
+    stream._occur(function(n) { return n - 2; });
+    assert.equal(total.value, 3);
+});
+
+test('switchE listens to the latest stream only', function() {
+    var a = new R.EventStream(), b = new R.EventStream(), streams = new R.EventStream();
+    var switched = R.switchE(streams);
+    var seen = collect(switched);
+    streams._occur(a);
+    a._occur(1);
+    streams._occur(b);
+    a._occur(2);
+    b._occur(3);
+    streams._end();
+    b._end();
+    assert.deepEqual(seen, [1, 3, '|']);
+    assert.equal(a._dependents.length, 0);
+});
+
+test('mergeAllE listens to every stream, and flatMapE maps to them first', function() {
+    var a = new R.EventStream(), b = new R.EventStream(), streams = new R.EventStream();
+    var seen = collect(R.flatMapE(function(name) { return name === 'a' ? a : b; }, streams));
+    streams._occur('a');
+    a._occur(1);
+    streams._occur('b');
+    a._occur(2);
+    b._occur(3);
+    a._end();
+    streams._end();
+    b._occur(4);
+    b._end();
+    assert.deepEqual(seen, [1, 2, 3, 4, '|']);
+});
+
+test('concatMapE takes the streams in turn', function() {
+    var a = new R.EventStream(), b = new R.EventStream(), streams = new R.EventStream();
+    var seen = collect(R.concatMapE(function(stream) { return stream; }, streams));
+    streams._occur(a);
+    streams._occur(b);
+    a._occur(1);
+    b._occur('missed');
+    a._end();
+    b._occur(2);
+    streams._end();
+    b._end();
+    assert.deepEqual(seen, [1, 2, '|']);
+});
+
+test('takeWhileE ends at the first event that fails', function() {
+    var stream = new R.EventStream();
+    var seen = collect(R.takeWhileE(function(n) { return n < 3; }, stream));
+    [1, 2, 3, 1].forEach(function(n) { stream._occur(n); });
+    assert.deepEqual(seen, [1, 2, '|']);
+});
+
+test('takeUntilE ends when the other stream occurs', function() {
+    var stream = new R.EventStream(), stop = new R.EventStream();
+    var seen = collect(R.takeUntilE(stop, stream));
+    stream._occur(1);
+    stop._occur();
+    stream._occur(2);
+    assert.deepEqual(seen, [1, '|']);
+});
+
+test('skipE drops the first n events', function() {
+    var stream = new R.EventStream();
+    var seen = collect(R.skipE(2, stream));
+    [1, 2, 3, 4].forEach(function(n) { stream._occur(n); });
+    stream._end();
+    assert.deepEqual(seen, [3, 4, '|']);
+});
+
+test('concatE listens to each stream in turn, skipping those already ended', function() {
+    var a = new R.EventStream(), b = new R.EventStream(), c = new R.EventStream();
+    c._end();
+    var seen = collect(R.concatE(c, a, b));
+    b._occur('missed');
+    a._occur(1);
+    a._end();
+    b._occur(2);
+    b._end();
+    assert.deepEqual(seen, [1, 2, '|']);
+});
+
+test('an ended stream lets go of its listeners and ignores anything else', function() {
+    var stream = new R.EventStream();
+    var seen = collect(stream);
+    stream._occur(1);
+    stream._end();
+    stream._occur(2);
+    assert.deepEqual(seen, [1, '|']);
+    assert.equal(stream._subscriptions.length, 0);
+});
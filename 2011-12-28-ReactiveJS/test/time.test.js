@@ -0,0 +1,162 @@
+// Anything to do with time, on a VirtualClock and drawn as marble diagrams.
+
+var test = require('node:test');
+var assert = require('assert');
+var helpers = require('./helpers.js');
+var R = helpers.Reactive;
+
+/*
+  Letters at 0, 3 and 6 ms unless a test says otherwise, and
+  diagrams in 1ms frames unless they say otherwise.
+*/
+
+var burst = function(clock, stream, times) {
+    (times || [0, 3, 6]).forEach(function(time, i) {
+	clock.at(time, function() { stream._occur('abcdefgh'.charAt(i)); });
+    });
+};
+
+test('timerE ticks only while somebody listens', function(t) {
+    var clock = helpers.virtualTime(t);
+    var timer = R.timerE(10);
+    assert.equal(clock._timers.length, 0);
+    var record = R.recordE(R.mapE(function() { return 't'; }, timer));
+    clock.advance(30);
+    assert.equal(record.marbles(10), '-ttt');
+    record.dispose();
+    assert.equal(clock._timers.length, 0);
+});
+
+test('delayE shifts every event', function(t) {
+    var clock = helpers.virtualTime(t);
+    var stream = new R.EventStream();
+    var record = R.recordE(R.delayE(2, stream));
+    burst(clock, stream);
+    clock.advance(10);
+    assert.equal(record.marbles(), '--a--b--c');
+});
+
+test('throttleE lets one through and then the latest per window', function(t) {
+    var clock = helpers.virtualTime(t);
+    var stream = new R.EventStream();
+    var record = R.recordE(R.throttleE(10, stream));
+    burst(clock, stream);
+    clock.advance(20);
+    assert.equal(record.marbles(), 'a---------c');
+});
+
+test('debounceE waits for the burst to be over', function(t) {
+    var clock = helpers.virtualTime(t);
+    var stream = new R.EventStream();
+    var record = R.recordE(R.debounceE(5, stream));
+    burst(clock, stream, [0, 3, 6, 20]);
+    clock.advance(30);
+    assert.equal(record.marbles(), '-----------c-------------d');
+});
+
+test('calmE keeps the first of each burst', function(t) {
+    var clock = helpers.virtualTime(t);
+    var stream = new R.EventStream();
+    var record = R.recordE(R.calmE(5, stream));
+    burst(clock, stream, [0, 3, 6, 20]);
+    clock.advance(30);
+    assert.equal(record.marbles(), 'a-------------------d');
+});
+
+test('takeE ends after n events', function(t) {
+    var clock = helpers.virtualTime(t);
+    var stream = new R.EventStream();
+    var record = R.recordE(R.takeE(2, stream));
+    burst(clock, stream);
+    clock.advance(10);
+    assert.equal(record.marbles(), 'a--(b|)');
+    assert.equal(record.ended, 3);
+});
+
+test('events in the same frame are grouped', function(t) {
+    var clock = helpers.virtualTime(t);
+    var stream = new R.EventStream();
+    var record = R.recordE(stream);
+    burst(clock, stream, [0, 1, 5]);
+    clock.advance(10);
+    assert.equal(record.marbles(2), '(ab)-c');
+});
+
+test('the virtual clock never runs backwards', function(t) {
+    var clock = helpers.virtualTime(t);
+    var times = [];
+    clock.advance(100);
+    clock.setTimeout(function() { times.push(clock.now()); }, -50);
+    clock.at(20, function() { times.push(clock.now()); });
+    clock.advance(0);
+    assert.deepEqual(times, [100, 100]);
+});
+
+/* The continuous behaviors step once per animation frame; a frame of 250ms keeps the numbers round. */
+
+var continuousTime = function(t) {
+    var clock = helpers.virtualTime(t);
+    clock.frame = 250;
+    return clock;
+};
+
+test('continuousB is a function of the time, sampled every frame while observed', function(t) {
+    var clock = continuousTime(t);
+    var seconds = R.continuousB(function(ms) { return ms / 1000; });
+    assert.equal(seconds.value, 0);
+    clock.advance(100);
+    assert.equal(seconds.value, 0.1);
+    var seen = [];
+    var subscription = seconds._observe(function(value) { seen.push(value); });
+    clock.advance(500);
+    assert.deepEqual(seen, [0.35, 0.6]);
+    subscription.dispose();
+    assert.equal(clock._timers.length, 0);
+});
+
+test('integralB adds up a behavior over time, exactly for a stepper', function(t) {
+    var clock = continuousTime(t);
+    var rate = new R.EventStream();
+    var total = R.integralB(R.stepperB(2, rate));
+    total._observe(function() { });
+    clock.advance(1000);
+    assert.equal(total.value, 2);
+    clock.at(1100, function() { rate._occur(10); });
+    clock.advance(500);
+    assert.equal(total.value, 2 + 2 * 0.1 + 10 * 0.4);
+});
+
+test('derivativeB is how fast a behavior changes, per second', function(t) {
+    var clock = continuousTime(t);
+    var position = R.continuousB(function(ms) { return 3 * ms / 1000; });
+    var speed = R.derivativeB(position);
+    speed._observe(function() { });
+    clock.advance(1000);
+    assert.equal(Math.round(speed.value * 1000) / 1000, 3);
+});
+
+test('tweenB moves to a new target over its duration', function(t) {
+    var clock = continuousTime(t);
+    var target = new R.EventStream();
+    var tween = R.tweenB(R.stepperB(0, target), 1000);
+    var seen = [];
+    tween._observe(function(value) { seen.push(value); });
+    clock.advance(250);
+    target._occur(100);
+    clock.advance(1250);
+    assert.deepEqual(seen, [25, 50, 75, 100]);
+});
+
+test('receiverE closes a loop through a delay', function(t) {
+    var clock = helpers.virtualTime(t);
+    var start = new R.EventStream();
+    var ticks = R.receiverE();
+    var next = R.takeWhileE(function(n) { return n < 4; }, R.delayE(2, R.mapE(function(n) { return n + 1; }, ticks)));
+    ticks.wire(R.mergeE(start, next));
+    var record = R.recordE(ticks);
+    clock.at(1, function() { start._occur(1); });
+    clock.advance(10);
+    assert.equal(record.marbles(), '-1-2-3');
+    assert.throws(function() { ticks.wire(start); }, /already wired/);
+    ticks.dispose();
+});